@@ -0,0 +1,96 @@
+/**
+ * Benchmark generování sudoku po obtížnostech
+ *
+ * Použití:
+ *   npm run benchmark
+ *   npm run benchmark -- --runs 10
+ *   npm run benchmark -- --baseline ../sudoku-old/src/utils/sudokuGenerator.js
+ *
+ * Každá obtížnost se generuje ze stejných seedů, takže výsledky různých verzí jsou srovnatelné.
+ * S --baseline se změří i jiná verze generátoru (např. starší commit přes `git worktree add`)
+ * a ověří se, že obě verze dávají ze stejného seedu stejné sudoku.
+ */
+
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { DIFFICULTY_MAP } from '../src/types.js';
+import { DIFFICULTY_ORDER } from '../src/utils/difficultyGrader.js';
+
+/**
+ * @typedef {Object} BenchmarkResult
+ * @property {number[]} times - Doby generování (ms)
+ * @property {string[]} puzzles - Vygenerovaná zadání (81 znaků)
+ */
+
+/**
+ * Načte hodnotu přepínače z argumentů
+ * @param {string} name
+ * @returns {string | undefined}
+ */
+function readOption(name) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index >= 0 ? process.argv[index + 1] : undefined;
+}
+
+/**
+ * Vygeneruje sudoku dané obtížnosti ze seedů benchmarku a změří časy
+ * @param {{ generatePuzzle: Function }} generator
+ * @param {import('../src/types.js').Difficulty} difficulty
+ * @param {number} runs
+ * @returns {BenchmarkResult}
+ */
+function measure(generator, difficulty, runs) {
+    /** @type {BenchmarkResult} */
+    const result = { times: [], puzzles: [] };
+    for (let run = 1; run <= runs; run++) {
+        const startedAt = performance.now();
+        const { grid } = generator.generatePuzzle({
+            minFilled: DIFFICULTY_MAP[difficulty],
+            difficulty,
+            seed: `benchmark-${difficulty}-${run}`
+        });
+        result.times.push(performance.now() - startedAt);
+        result.puzzles.push(grid.flat().map(cell => cell.value || '.').join(''));
+    }
+    return result;
+}
+
+/**
+ * Shrne časy do průměru, mediánu a maxima
+ * @param {number[]} times
+ * @returns {string}
+ */
+function summarize(times) {
+    const sorted = [...times].sort((a, b) => a - b);
+    const average = times.reduce((sum, time) => sum + time, 0) / times.length;
+    const median = sorted[Math.floor(sorted.length / 2)];
+    const format = (/** @type {number} */ ms) => `${Math.round(ms)} ms`;
+    return `průměr ${format(average)}, medián ${format(median)}, max ${format(sorted[sorted.length - 1])}`;
+}
+
+const runs = Number(readOption('runs') ?? 5);
+if (!Number.isInteger(runs) || runs < 1) {
+    console.error('Počet opakování (--runs) musí být kladné celé číslo.');
+    process.exit(1);
+}
+
+const current = await import('../src/utils/sudokuGenerator.js');
+const baselinePath = readOption('baseline');
+const baseline = baselinePath ? await import(pathToFileURL(resolve(baselinePath)).href) : null;
+
+let mismatches = 0;
+for (const difficulty of DIFFICULTY_ORDER) {
+    const after = measure(current, difficulty, runs);
+    console.log(`${difficulty.padEnd(6)} ${baseline ? 'po:   ' : ''}${summarize(after.times)}`);
+
+    if (baseline) {
+        const before = measure(baseline, difficulty, runs);
+        console.log(`${''.padEnd(6)} před: ${summarize(before.times)}`);
+        mismatches += before.puzzles.filter((puzzle, i) => puzzle !== after.puzzles[i]).length;
+    }
+}
+
+if (mismatches > 0) {
+    console.error(`Verze se liší v ${mismatches} sudoku ze stejného seedu.`);
+    process.exit(1);
+}
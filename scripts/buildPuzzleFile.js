@@ -0,0 +1,58 @@
+/**
+ * Vytvoří sbírku sudoku přibalenou k aplikaci (public/puzzles.json)
+ *
+ * Použití:
+ *   npm run puzzles
+ *   npm run puzzles -- --count 50
+ *
+ * Sudoku se generují ze stejných seedů, takže opakované spuštění dá stejný soubor. Obtížnost v souboru je
+ * podle hodnocení technik - generátor může vrátit nejbližší obtížnost, pokud cílovou v limitu pokusů nenajde.
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { DIFFICULTY_MAP } from '../src/types.js';
+import { DIFFICULTY_ORDER, ratePuzzle } from '../src/utils/difficultyGrader.js';
+import { generatePuzzle } from '../src/utils/sudokuGenerator.js';
+
+const OUTPUT_FILE = fileURLToPath(new URL('../public/puzzles.json', import.meta.url));
+
+/**
+ * Verze formátu souboru sbírky
+ */
+const PUZZLE_FILE_VERSION = 1;
+
+const countIndex = process.argv.indexOf('--count');
+const count = Number(countIndex >= 0 ? process.argv[countIndex + 1] : 30);
+if (!Number.isInteger(count) || count < 1) {
+    console.error('Počet sudoku (--count) musí být kladné celé číslo.');
+    process.exit(1);
+}
+
+/** @type {import('../src/utils/puzzleProviders.js').ProvidedPuzzle[]} */
+const puzzles = [];
+/** @type {Set<string>} */
+const seen = new Set();
+
+for (const difficulty of DIFFICULTY_ORDER) {
+    let made = 0;
+    for (let run = 1; made < count && run <= count * 3; run++) {
+        const { grid, solution } = generatePuzzle({
+            minFilled: DIFFICULTY_MAP[difficulty],
+            difficulty,
+            seed: `bundled-${difficulty}-${run}`
+        });
+        const rating = ratePuzzle(grid);
+        const givens = grid.flat().map(cell => cell.value || '.').join('');
+        // Jen sudoku s obtížností, o kterou šlo - nejbližší jiná by sbírku zkreslila
+        if (rating?.difficulty !== difficulty || seen.has(givens)) continue;
+
+        seen.add(givens);
+        puzzles.push({ givens, solution, difficulty });
+        made++;
+    }
+    console.log(`${difficulty.padEnd(6)} ${made} sudoku`);
+}
+
+await writeFile(OUTPUT_FILE, `${JSON.stringify({ version: PUZZLE_FILE_VERSION, puzzles }, null, 1)}\n`);
+console.log(`Zapsáno ${puzzles.length} sudoku do ${OUTPUT_FILE}`);
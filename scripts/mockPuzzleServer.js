@@ -0,0 +1,130 @@
+/**
+ * Lokální mock server API ve formátu dosuku pro zkoušení zdroje sudoku z API
+ *
+ * Použití:
+ *   npm run mock-api
+ *   npm run mock-api -- --port 4000 --mode slow
+ *   VITE_PUZZLE_API_URL=http://localhost:4000/api/dosuku npm run dev
+ *
+ * Sudoku bere ze sbírky public/puzzles.json (npm run puzzles). Režimy (--mode):
+ *   ok         - platná sudoku (výchozí)
+ *   slow       - odpoví až po 10 s (vyprší časový limit)
+ *   error      - HTTP 500
+ *   garbage    - odpověď, která není JSON
+ *   wrong      - deklarované řešení neodpovídá zadání (prohozené číslice)
+ *   ambiguous  - zadání s více řešeními
+ */
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+
+const MODES = ['ok', 'slow', 'error', 'garbage', 'wrong', 'ambiguous'];
+const SLOW_RESPONSE_MS = 10000;
+
+/**
+ * Obtížnosti ve formátu API
+ * @type {Record<import('../src/types.js').Difficulty, string>}
+ */
+const DIFFICULTY_MAP_TO_API = {
+    easy: 'Easy',
+    medium: 'Medium',
+    hard: 'Hard'
+};
+
+/**
+ * Načte hodnotu přepínače z argumentů
+ * @param {string} name
+ * @returns {string | undefined}
+ */
+function readOption(name) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index >= 0 ? process.argv[index + 1] : undefined;
+}
+
+const port = Number(readOption('port') ?? 4000);
+const mode = readOption('mode') ?? 'ok';
+if (!MODES.includes(mode)) {
+    console.error(`Neznámý režim "${mode}", možnosti: ${MODES.join(', ')}`);
+    process.exit(1);
+}
+
+/** @type {import('../src/utils/puzzleProviders.js').ProvidedPuzzle[]} */
+const { puzzles } = JSON.parse(await readFile(new URL('../public/puzzles.json', import.meta.url), 'utf8'));
+
+/**
+ * Převede 81 znaků na mřížku API (9x9 čísel, 0 = prázdné)
+ * @param {string} text
+ * @returns {number[][]}
+ */
+function toApiGrid(text) {
+    return Array.from({ length: 9 }, (_, row) =>
+        [...text.slice(row * 9, row * 9 + 9)].map(char => (char === '.' ? 0 : Number(char)))
+    );
+}
+
+/**
+ * Upraví sudoku podle režimu
+ * @param {import('../src/utils/puzzleProviders.js').ProvidedPuzzle} puzzle
+ * @returns {{ givens: string, solution: string }}
+ */
+function applyMode(puzzle) {
+    const solution = /** @type {string} */ (puzzle.solution);
+    if (mode === 'wrong') {
+        // Prohození dvou číslic v prázdných buňkách řešení - zadání sedí, řešení ne
+        const empty = [...puzzle.givens].flatMap((char, i) => (char === '.' ? [i] : []));
+        const first = empty.find(i => solution[i] !== solution[empty[0]]) ?? empty[1];
+        const digits = [...solution];
+        [digits[empty[0]], digits[first]] = [digits[first], digits[empty[0]]];
+        return { givens: puzzle.givens, solution: digits.join('') };
+    }
+    if (mode === 'ambiguous') {
+        // Jen první řádek zadání - řešení je mnoho
+        return { givens: solution.slice(0, 9) + '.'.repeat(72), solution };
+    }
+    return { givens: puzzle.givens, solution };
+}
+
+/**
+ * Odpověď ve formátu dosuku
+ * @param {number} limit
+ * @returns {string}
+ */
+function createResponse(limit) {
+    const grids = Array.from({ length: limit }, () => {
+        const puzzle = puzzles[Math.floor(Math.random() * puzzles.length)];
+        const { givens, solution } = applyMode(puzzle);
+        return {
+            value: toApiGrid(givens),
+            solution: toApiGrid(solution),
+            difficulty: DIFFICULTY_MAP_TO_API[puzzle.difficulty]
+        };
+    });
+    return JSON.stringify({ newboard: { grids, results: grids.length, message: 'All Ok' } });
+}
+
+const server = createServer((request, response) => {
+    const url = new URL(request.url ?? '/', `http://localhost:${port}`);
+    const headers = { 'Access-Control-Allow-Origin': '*', 'Content-Type': 'application/json' };
+
+    if (url.pathname !== '/api/dosuku') {
+        response.writeHead(404, headers).end(JSON.stringify({ message: 'Not found' }));
+        return;
+    }
+
+    const limit = Math.min(20, Math.max(1, Number(/limit:(\d+)/.exec(url.searchParams.get('query') ?? '')?.[1] ?? 1)));
+    console.log(`${request.method} ${url.pathname} limit=${limit} (${mode})`);
+
+    if (mode === 'error') {
+        response.writeHead(500, headers).end(JSON.stringify({ message: 'Internal error' }));
+    } else if (mode === 'garbage') {
+        response.writeHead(200, headers).end('<html>not json</html>');
+    } else if (mode === 'slow') {
+        setTimeout(() => response.writeHead(200, headers).end(createResponse(limit)), SLOW_RESPONSE_MS);
+    } else {
+        response.writeHead(200, headers).end(createResponse(limit));
+    }
+});
+
+server.listen(port, () => {
+    console.log(`Mock API běží na http://localhost:${port}/api/dosuku (režim ${mode}), ukončení Ctrl+C`);
+});
@@ -0,0 +1,64 @@
+/**
+ * Vite plugin, který po buildu vytvoří service worker s seznamem souborů k předem uložení (precache)
+ *
+ * Šablona je src/serviceWorker.js. Plugin projde celý výstupní adresář (sestavené soubory včetně modulového
+ * workeru sudokuWorker.js i soubory z public/), doplní jejich cesty relativně k base a verzi cache
+ * odvozenou z obsahu souborů. Každý build s jiným obsahem tak dá jiný sw.js a prohlížeč nabídne novou verzi.
+ */
+
+import { createHash } from 'node:crypto';
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { join, relative, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const TEMPLATE_PATH = fileURLToPath(new URL('../src/serviceWorker.js', import.meta.url));
+const OUTPUT_NAME = 'sw.js';
+
+/**
+ * Soubory, které se do cache nedávají
+ */
+const EXCLUDED_FILES = new Set([OUTPUT_NAME, 'robots.txt']);
+
+/**
+ * Všechny soubory v adresáři (rekurzivně)
+ * @param {string} dir
+ * @returns {Promise<string[]>}
+ */
+async function listFiles(dir) {
+    const entries = await readdir(dir, { withFileTypes: true });
+    const nested = await Promise.all(entries.map(entry => {
+        const path = join(dir, entry.name);
+        return entry.isDirectory() ? listFiles(path) : [path];
+    }));
+    return nested.flat();
+}
+
+/**
+ * @returns {import('vite').Plugin}
+ */
+export function serviceWorkerPlugin() {
+    return {
+        name: 'sudoku-service-worker',
+        apply: 'build',
+        async writeBundle(options) {
+            const outDir = /** @type {string} */ (options.dir);
+            const files = (await listFiles(outDir))
+                .map(path => relative(outDir, path).split(sep).join('/'))
+                .filter(path => !EXCLUDED_FILES.has(path))
+                .sort();
+
+            const hash = createHash('sha256');
+            for (const file of files) {
+                hash.update(file);
+                hash.update(await readFile(join(outDir, file)));
+            }
+
+            // Kořen aplikace (base) se ukládá jako index.html, navigace ho dostanou z cache
+            const template = await readFile(TEMPLATE_PATH, 'utf8');
+            const source = template
+                .replace("'__CACHE_VERSION__'", JSON.stringify(hash.digest('hex').slice(0, 12)))
+                .replace('/* __PRECACHE_URLS__ */ []', JSON.stringify(files, null, 4));
+            await writeFile(join(outDir, OUTPUT_NAME), source);
+        }
+    };
+}
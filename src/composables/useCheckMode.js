@@ -0,0 +1,29 @@
+/**
+ * Composable pro volbu režimu kontroly chyb
+ */
+
+import { ref, watch, onMounted } from 'vue';
+import { getFromStorage, setToStorage, isValidCheckMode } from '../utils/localStorage.js';
+import { STORAGE_KEYS } from '../types.js';
+
+/**
+ * @returns {{
+ *   checkMode: import('vue').Ref<import('../utils/checking.js').CheckMode>
+ * }}
+ */
+export function useCheckMode() {
+    /** @type {import('vue').Ref<import('../utils/checking.js').CheckMode>} */
+    const checkMode = ref('strict');
+
+    onMounted(() => {
+        checkMode.value = getFromStorage(STORAGE_KEYS.CHECK_MODE, 'strict', isValidCheckMode);
+    });
+
+    watch(checkMode, (mode) => {
+        setToStorage(STORAGE_KEYS.CHECK_MODE, mode);
+    });
+
+    return {
+        checkMode
+    };
+}
@@ -0,0 +1,121 @@
+/**
+ * Composable pro záznamy denních sudoku
+ * Ukládá postup a dokončení každého dne a obtížnosti
+ */
+
+import { ref, onMounted } from 'vue';
+import { getFromStorage, setToStorage, isValidDailyRecords } from '../utils/localStorage.js';
+import { dailyRecordKey } from '../utils/daily.js';
+import { copyGrid } from '../utils/sudokuGenerator.js';
+import { STORAGE_KEYS } from '../types.js';
+
+/**
+ * @typedef {'completed' | 'auto-solved' | 'in-progress' | 'none'} DailyStatus
+ */
+
+/**
+ * @returns {{
+ *   records: import('vue').Ref<Record<string, import('../types.js').DailyRecord>>,
+ *   getRecord: (date: string, difficulty: import('../types.js').Difficulty) => import('../types.js').DailyRecord | null,
+ *   getStatus: (date: string, difficulty: import('../types.js').Difficulty) => DailyStatus,
+ *   saveProgress: (ref: import('../types.js').DailyRef, seed: string, grid: import('../types.js').SudokuGrid, elapsedMs: number) => void,
+ *   markCompleted: (ref: import('../types.js').DailyRef, grid: import('../types.js').SudokuGrid, elapsedMs: number, autoSolved: boolean) => void
+ * }}
+ */
+export function useDailyPuzzle() {
+    /** @type {import('vue').Ref<Record<string, import('../types.js').DailyRecord>>} */
+    const records = ref({});
+
+    onMounted(() => {
+        records.value = getFromStorage(STORAGE_KEYS.DAILY, {}, isValidDailyRecords);
+    });
+
+    /**
+     * @param {string} date
+     * @param {import('../types.js').Difficulty} difficulty
+     * @returns {import('../types.js').DailyRecord | null}
+     */
+    function getRecord(date, difficulty) {
+        return records.value[dailyRecordKey(date, difficulty)] ?? null;
+    }
+
+    /**
+     * Stav denního sudoku pro kalendář
+     * @param {string} date
+     * @param {import('../types.js').Difficulty} difficulty
+     * @returns {DailyStatus}
+     */
+    function getStatus(date, difficulty) {
+        const record = getRecord(date, difficulty);
+        if (!record) return 'none';
+        if (record.completedAt !== null) return record.autoSolved ? 'auto-solved' : 'completed';
+        return 'in-progress';
+    }
+
+    /**
+     * Uloží záznam a persistuje všechny záznamy
+     * @param {import('../types.js').DailyRecord} record
+     */
+    function putRecord(record) {
+        records.value = {
+            ...records.value,
+            [dailyRecordKey(record.date, record.difficulty)]: record
+        };
+        setToStorage(STORAGE_KEYS.DAILY, records.value);
+    }
+
+    /**
+     * Uloží rozehraný stav denního sudoku
+     * Dokončený den ani opakované hraní se nepřepisují
+     * @param {import('../types.js').DailyRef} daily
+     * @param {string} seed
+     * @param {import('../types.js').SudokuGrid} grid
+     * @param {number} elapsedMs
+     */
+    function saveProgress(daily, seed, grid, elapsedMs) {
+        if (daily.replay) return;
+
+        const existing = getRecord(daily.date, daily.difficulty);
+        if (existing?.completedAt) return;
+
+        putRecord({
+            date: daily.date,
+            difficulty: daily.difficulty,
+            seed: existing?.seed ?? seed,
+            grid: copyGrid(grid),
+            elapsedMs,
+            completedAt: null,
+            autoSolved: false
+        });
+    }
+
+    /**
+     * Označí denní sudoku jako dokončené
+     * @param {import('../types.js').DailyRef} daily
+     * @param {import('../types.js').SudokuGrid} grid
+     * @param {number} elapsedMs
+     * @param {boolean} autoSolved - Vyřešeno automaticky
+     */
+    function markCompleted(daily, grid, elapsedMs, autoSolved) {
+        if (daily.replay) return;
+
+        const existing = getRecord(daily.date, daily.difficulty);
+        if (!existing || existing.completedAt) return;
+
+        putRecord({
+            ...existing,
+            grid: copyGrid(grid),
+            elapsedMs,
+            completedAt: Date.now(),
+            autoSolved
+        });
+    }
+
+    return {
+        records,
+        getRecord,
+        getStatus,
+        saveProgress,
+        markCompleted
+    };
+}
@@ -0,0 +1,114 @@
+/**
+ * Composable pro měření herního času
+ * Čas běží jen při viditelné stránce, nepozastavené hře a nevyřešeném sudoku
+ */
+
+import { ref, computed, watch, onMounted, onUnmounted } from 'vue';
+import { formatDuration } from '../utils/formatTime.js';
+
+/**
+ * @param {{
+ *   paused: import('vue').Ref<boolean> | import('vue').ComputedRef<boolean>,
+ *   finished: import('vue').Ref<boolean> | import('vue').ComputedRef<boolean>
+ * }} options - `paused` pozastaví měření (např. zakrytá mřížka), `finished` ho zastaví
+ * @returns {{
+ *   elapsedMs: import('vue').ComputedRef<number>,
+ *   formattedTime: import('vue').ComputedRef<string>,
+ *   isRunning: import('vue').ComputedRef<boolean>,
+ *   start: (initialMs?: number) => void,
+ *   reset: () => void
+ * }}
+ */
+export function useGameTimer({ paused, finished }) {
+    const isStarted = ref(false);
+    const isPageHidden = ref(false);
+
+    /** Čas nasčítaný z ukončených úseků */
+    const baseMs = ref(0);
+
+    /** @type {import('vue').Ref<number | null>} Začátek právě běžícího úseku */
+    const segmentStart = ref(null);
+
+    /** Aktuální čas, obnovovaný každou sekundu kvůli zobrazení */
+    const now = ref(Date.now());
+
+    /** @type {ReturnType<typeof setInterval> | null} */
+    let tickInterval = null;
+
+    const isRunning = computed(() =>
+        isStarted.value && !isPageHidden.value && !paused.value && !finished.value
+    );
+
+    const elapsedMs = computed(() =>
+        baseMs.value + (segmentStart.value !== null ? Math.max(0, now.value - segmentStart.value) : 0)
+    );
+
+    const formattedTime = computed(() => formatDuration(elapsedMs.value));
+
+    /**
+     * Uzavře běžící úsek a přičte ho k nasčítanému času
+     */
+    function closeSegment() {
+        if (segmentStart.value === null) return;
+        baseMs.value += Math.max(0, Date.now() - segmentStart.value);
+        segmentStart.value = null;
+    }
+
+    // Při pozastavení/obnovení uzavřeme nebo otevřeme úsek
+    watch(isRunning, (running) => {
+        if (running) {
+            now.value = Date.now();
+            segmentStart.value = now.value;
+        } else {
+            closeSegment();
+        }
+    });
+
+    function handleVisibilityChange() {
+        isPageHidden.value = document.visibilityState === 'hidden';
+    }
+
+    onMounted(() => {
+        handleVisibilityChange();
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        tickInterval = setInterval(() => {
+            now.value = Date.now();
+        }, 1000);
+    });
+
+    onUnmounted(() => {
+        document.removeEventListener('visibilitychange', handleVisibilityChange);
+        if (tickInterval) {
+            clearInterval(tickInterval);
+            tickInterval = null;
+        }
+    });
+
+    /**
+     * Spustí měření nové nebo načtené hry
+     * @param {number} [initialMs=0] - Již odehraný čas
+     */
+    function start(initialMs = 0) {
+        baseMs.value = initialMs;
+        isStarted.value = true;
+        now.value = Date.now();
+        segmentStart.value = isRunning.value ? now.value : null;
+    }
+
+    /**
+     * Vynuluje a zastaví měření (hra bez zadání)
+     */
+    function reset() {
+        isStarted.value = false;
+        baseMs.value = 0;
+        segmentStart.value = null;
+    }
+
+    return {
+        elapsedMs,
+        formattedTime,
+        isRunning,
+        start,
+        reset
+    };
+}
@@ -0,0 +1,162 @@
+/**
+ * Composable pro historii změn gridu (undo/redo)
+ * Ukládá pouze změněné buňky, historie přežije reload stránky
+ */
+
+import { ref, computed, watch, onMounted } from 'vue';
+import { getFromStorage, setToStorage, isValidHistory } from '../utils/localStorage.js';
+import { STORAGE_KEYS, HISTORY_LIMIT } from '../types.js';
+
+/**
+ * Porovná dvě buňky
+ * @param {import('../types.js').GridCell} a
+ * @param {import('../types.js').GridCell} b
+ * @returns {boolean}
+ */
+function isSameCell(a, b) {
+    if (a.value !== b.value || a.isStatic !== b.isStatic) return false;
+    const notesA = a.notes || [];
+    const notesB = b.notes || [];
+    return notesA.length === notesB.length && notesA.every((n, i) => n === notesB[i]);
+}
+
+/**
+ * Spočítá rozdíl mezi dvěma gridy
+ * @param {import('../types.js').SudokuGrid} before
+ * @param {import('../types.js').SudokuGrid} after
+ * @returns {import('../types.js').CellChange[]}
+ */
+function diffGrids(before, after) {
+    /** @type {import('../types.js').CellChange[]} */
+    const changes = [];
+    for (let row = 0; row < after.length; row++) {
+        for (let col = 0; col < after[row].length; col++) {
+            const oldCell = before[row]?.[col];
+            const newCell = after[row][col];
+            if (!oldCell || !isSameCell(oldCell, newCell)) {
+                changes.push({
+                    row,
+                    col,
+                    before: oldCell ? { ...oldCell } : { value: '', isStatic: false },
+                    after: { ...newCell }
+                });
+            }
+        }
+    }
+    return changes;
+}
+
+/**
+ * Aplikuje změny na grid
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {import('../types.js').CellChange[]} changes
+ * @param {'before' | 'after'} side - Kterou stranu změny použít
+ * @returns {import('../types.js').SudokuGrid} Nový grid
+ */
+function applyChanges(grid, changes, side) {
+    const newGrid = grid.map(row => [...row]);
+    for (const change of changes) {
+        newGrid[change.row][change.col] = { ...change[side] };
+    }
+    return newGrid;
+}
+
+/**
+ * @param {import('vue').Ref<import('../types.js').SudokuGrid>} grid - Ref na aktuální grid
+ * @returns {{
+ *   canUndo: import('vue').ComputedRef<boolean>,
+ *   canRedo: import('vue').ComputedRef<boolean>,
+ *   commit: (newGrid: import('../types.js').SudokuGrid, action: import('../types.js').HistoryAction) => void,
+ *   undo: () => void,
+ *   redo: () => void,
+ *   reset: () => void
+ * }}
+ */
+export function useGridHistory(grid) {
+    /** @type {import('vue').Ref<import('../types.js').HistoryEntry[]>} */
+    const past = ref([]);
+
+    /** @type {import('vue').Ref<import('../types.js').HistoryEntry[]>} */
+    const future = ref([]);
+
+    // Načtení historie aktuální hry z localStorage
+    onMounted(() => {
+        const saved = getFromStorage(
+            STORAGE_KEYS.HISTORY,
+            { past: [], future: [] },
+            isValidHistory
+        );
+        past.value = saved.past;
+        future.value = saved.future;
+    });
+
+    watch([past, future], () => {
+        setToStorage(STORAGE_KEYS.HISTORY, { past: past.value, future: future.value });
+    });
+
+    const canUndo = computed(() => past.value.length > 0);
+    const canRedo = computed(() => future.value.length > 0);
+
+    /**
+     * Nastaví nový grid a zapíše změnu do historie
+     * Změna velikosti mřížky se zpět vrátit nedá (změny buněk neumí jiný tvar gridu), historie se vymaže.
+     * @param {import('../types.js').SudokuGrid} newGrid
+     * @param {import('../types.js').HistoryAction} action
+     */
+    function commit(newGrid, action) {
+        if (newGrid.length !== grid.value.length) {
+            grid.value = newGrid;
+            reset();
+            return;
+        }
+
+        const changes = diffGrids(grid.value, newGrid);
+        grid.value = newGrid;
+
+        if (changes.length === 0) return;
+
+        past.value = [...past.value, { action, changes }].slice(-HISTORY_LIMIT);
+        future.value = [];
+    }
+
+    /**
+     * Vrátí poslední změnu
+     */
+    function undo() {
+        const entry = past.value[past.value.length - 1];
+        if (!entry) return;
+
+        grid.value = applyChanges(grid.value, entry.changes, 'before');
+        past.value = past.value.slice(0, -1);
+        future.value = [...future.value, entry];
+    }
+
+    /**
+     * Znovu provede naposledy vrácenou změnu
+     */
+    function redo() {
+        const entry = future.value[future.value.length - 1];
+        if (!entry) return;
+
+        grid.value = applyChanges(grid.value, entry.changes, 'after');
+        future.value = future.value.slice(0, -1);
+        past.value = [...past.value, entry];
+    }
+
+    /**
+     * Vymaže historii (např. při načtení jiné hry)
+     */
+    function reset() {
+        past.value = [];
+        future.value = [];
+    }
+
+    return {
+        canUndo,
+        canRedo,
+        commit,
+        undo,
+        redo,
+        reset
+    };
+}
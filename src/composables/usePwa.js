@@ -0,0 +1,135 @@
+/**
+ * Composable pro instalaci aplikace a aktualizace přes service worker
+ * Service worker se registruje jen v produkčním buildu (sw.js vzniká až při buildu).
+ */
+
+import { ref, onMounted, onUnmounted } from 'vue';
+
+/**
+ * Událost beforeinstallprompt (zatím jen v prohlížečích založených na Chromiu)
+ * @typedef {Event & { prompt: () => Promise<void>, userChoice: Promise<{ outcome: 'accepted' | 'dismissed' }> }} InstallPromptEvent
+ */
+
+/**
+ * @returns {{
+ *   canInstall: import('vue').Ref<boolean>,
+ *   isUpdateAvailable: import('vue').Ref<boolean>,
+ *   install: () => Promise<void>,
+ *   applyUpdate: () => void
+ * }}
+ */
+export function usePwa() {
+    /** Prohlížeč nabízí instalaci aplikace */
+    const canInstall = ref(false);
+    /** Nová verze je stažená a čeká na potvrzení */
+    const isUpdateAvailable = ref(false);
+
+    /** @type {InstallPromptEvent | null} */
+    let installPrompt = null;
+    /** @type {ServiceWorkerRegistration | null} */
+    let registration = null;
+    /** Stránku už řídil service worker - změna řídícího workeru je aktualizace */
+    let hadController = false;
+    let isReloading = false;
+
+    /**
+     * @param {Event} event
+     */
+    function handleBeforeInstallPrompt(event) {
+        // Vlastní tlačítko v hlavičce místo lišty prohlížeče
+        event.preventDefault();
+        installPrompt = /** @type {InstallPromptEvent} */ (event);
+        canInstall.value = true;
+    }
+
+    function handleAppInstalled() {
+        installPrompt = null;
+        canInstall.value = false;
+    }
+
+    /**
+     * Nová verze převzala stránku (potvrzená v tomto nebo jiném panelu) - načteme ji znovu, jen jednou
+     * Stará verze souborů už v cache není. První instalace stránku také převezme (clients.claim), tehdy se nenačítá.
+     */
+    function handleControllerChange() {
+        if (!hadController || isReloading) return;
+        isReloading = true;
+        location.reload();
+    }
+
+    /**
+     * Sleduje instalaci nové verze service workeru
+     * @param {ServiceWorkerRegistration} reg
+     */
+    function watchForUpdates(reg) {
+        // Čekající verze bez řídícího workeru by byla první instalace, ne aktualizace
+        if (reg.waiting && navigator.serviceWorker.controller) {
+            isUpdateAvailable.value = true;
+        }
+        reg.addEventListener('updatefound', () => {
+            const installing = reg.installing;
+            installing?.addEventListener('statechange', () => {
+                if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+                    isUpdateAvailable.value = true;
+                }
+            });
+        });
+    }
+
+    onMounted(async () => {
+        window.addEventListener('beforeinstallprompt', handleBeforeInstallPrompt);
+        window.addEventListener('appinstalled', handleAppInstalled);
+
+        if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+        hadController = navigator.serviceWorker.controller !== null;
+        navigator.serviceWorker.addEventListener('controllerchange', handleControllerChange);
+        try {
+            registration = await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`, {
+                scope: import.meta.env.BASE_URL
+            });
+            watchForUpdates(registration);
+        } catch (error) {
+            console.warn('Service worker se nepodařilo zaregistrovat:', error);
+        }
+    });
+
+    onUnmounted(() => {
+        window.removeEventListener('beforeinstallprompt', handleBeforeInstallPrompt);
+        window.removeEventListener('appinstalled', handleAppInstalled);
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.removeEventListener('controllerchange', handleControllerChange);
+        }
+    });
+
+    /**
+     * Nabídne instalaci aplikace
+     */
+    async function install() {
+        if (!installPrompt) return;
+
+        const prompt = installPrompt;
+        installPrompt = null;
+        canInstall.value = false;
+        await prompt.prompt();
+    }
+
+    /**
+     * Aktivuje čekající verzi, stránka se po převzetí načte znovu
+     */
+    function applyUpdate() {
+        const waiting = registration?.waiting;
+        if (!waiting) {
+            location.reload();
+            return;
+        }
+        waiting.postMessage('skip-waiting');
+    }
+
+    return {
+        canInstall,
+        isUpdateAvailable,
+        install,
+        applyUpdate
+    };
+}
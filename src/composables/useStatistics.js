@@ -0,0 +1,105 @@
+/**
+ * Composable pro statistiky hráče
+ * Záznamy přicházejí z průběhu her (začátek, nápověda, vyřešení)
+ */
+
+import { ref, computed, onMounted } from 'vue';
+import { getFromStorage, setToStorage, removeFromStorage, isValidStats } from '../utils/localStorage.js';
+import { createEmptyStats, summarizeStats, toDateKey } from '../utils/statistics.js';
+import { STORAGE_KEYS } from '../types.js';
+
+/**
+ * @returns {{
+ *   stats: import('vue').Ref<import('../types.js').PlayerStats>,
+ *   summary: import('vue').ComputedRef<ReturnType<typeof summarizeStats>>,
+ *   recordStart: (difficulty: import('../types.js').Difficulty) => void,
+ *   recordSolve: (difficulty: import('../types.js').Difficulty, elapsedMs: number) => void,
+ *   recordHint: (difficulty: import('../types.js').Difficulty) => void,
+ *   recordAutoSolve: (difficulty: import('../types.js').Difficulty) => void,
+ *   resetStats: () => void
+ * }}
+ */
+export function useStatistics() {
+    /** @type {import('vue').Ref<import('../types.js').PlayerStats>} */
+    const stats = ref(createEmptyStats());
+
+    onMounted(() => {
+        stats.value = getFromStorage(STORAGE_KEYS.STATS, createEmptyStats(), isValidStats);
+    });
+
+    const summary = computed(() => summarizeStats(stats.value));
+
+    /**
+     * Upraví statistiky jedné obtížnosti a uloží je
+     * @param {import('../types.js').Difficulty} difficulty
+     * @param {(entry: import('../types.js').DifficultyStats) => Partial<import('../types.js').DifficultyStats>} change
+     */
+    function update(difficulty, change) {
+        const entry = stats.value.byDifficulty[difficulty];
+        stats.value = {
+            ...stats.value,
+            byDifficulty: {
+                ...stats.value.byDifficulty,
+                [difficulty]: { ...entry, ...change(entry) }
+            }
+        };
+        setToStorage(STORAGE_KEYS.STATS, stats.value);
+    }
+
+    /**
+     * Započítá nově začaté sudoku
+     * @param {import('../types.js').Difficulty} difficulty
+     */
+    function recordStart(difficulty) {
+        update(difficulty, entry => ({ started: entry.started + 1 }));
+    }
+
+    /**
+     * Započítá sudoku vyřešené hráčem
+     * @param {import('../types.js').Difficulty} difficulty
+     * @param {number} elapsedMs - Čas řešení
+     */
+    function recordSolve(difficulty, elapsedMs) {
+        const today = toDateKey();
+        update(difficulty, entry => ({
+            solved: entry.solved + 1,
+            totalTimeMs: entry.totalTimeMs + elapsedMs,
+            bestTimeMs: entry.bestTimeMs === null ? elapsedMs : Math.min(entry.bestTimeMs, elapsedMs),
+            solveDates: entry.solveDates.includes(today) ? entry.solveDates : [...entry.solveDates, today].sort()
+        }));
+    }
+
+    /**
+     * Započítá zobrazenou nápovědu
+     * @param {import('../types.js').Difficulty} difficulty
+     */
+    function recordHint(difficulty) {
+        update(difficulty, entry => ({ hintsUsed: entry.hintsUsed + 1 }));
+    }
+
+    /**
+     * Započítá automatické vyřešení
+     * @param {import('../types.js').Difficulty} difficulty
+     */
+    function recordAutoSolve(difficulty) {
+        update(difficulty, entry => ({ autoSolves: entry.autoSolves + 1 }));
+    }
+
+    /**
+     * Vymaže všechny statistiky
+     */
+    function resetStats() {
+        stats.value = createEmptyStats();
+        removeFromStorage(STORAGE_KEYS.STATS);
+    }
+
+    return {
+        stats,
+        summary,
+        recordStart,
+        recordSolve,
+        recordHint,
+        recordAutoSolve,
+        resetStats
+    };
+}
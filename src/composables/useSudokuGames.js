@@ -1,16 +1,24 @@
 /**
  * Composable pro správu uložených sudoku her
  * Zahrnuje ukládání, načítání, mazání a koš
+ * Hry se ukládají po jedné do IndexedDB, selhání zápisu se vrátí zpět a ukáže v storageError.
+ * Změny se posílají ostatním panelům, které je po hrách zapracují do svých seznamů.
  */
 
-import { ref, computed, watch, onMounted } from 'vue';
+import { ref, computed, watch, onMounted, onUnmounted } from 'vue';
 import {
-    getFromStorage,
-    setToStorage,
-    isValidSavedGamesArray
-} from '../utils/localStorage.js';
-import { STORAGE_KEYS, TRASH_AUTO_REMOVE_MS, MAX_GAME_NAME_LENGTH } from '../types.js';
+    loadStoredGames,
+    putGame,
+    moveGameToTrash,
+    restoreGameFromTrash,
+    deleteFromTrash,
+    replaceStoredGames,
+    describeStorageError
+} from '../utils/gameStorage.js';
+import { openSyncChannel } from '../utils/tabSync.js';
+import { TRASH_AUTO_REMOVE_MS, MAX_GAME_NAME_LENGTH } from '../types.js';
 import { copyGrid, isGridSolved as checkIsGridSolved } from '../utils/sudokuGenerator.js';
+import { getConstraintSet } from '../utils/constraints.js';
 
 /**
  * @param {import('vue').Ref<import('../types.js').SudokuGrid>} grid - Ref na aktuální grid
@@ -22,11 +30,14 @@ import { copyGrid, isGridSolved as checkIsGridSolved } from '../utils/sudokuGene
  *   editNameId: import('vue').Ref<number | null>,
  *   editNameValue: import('vue').Ref<string>,
  *   solvedGameIds: import('vue').ComputedRef<Set<number>>,
+ *   storageError: import('vue').Ref<string | null>,
+ *   isGameOpenElsewhere: import('vue').ComputedRef<boolean>,
  *   loadGame: (game: import('../types.js').SavedGame) => void,
- *   saveGame: (difficulty?: string) => void,
+ *   saveGame: (difficulty?: string, details?: Partial<import('../types.js').SavedGame>) => void,
  *   deleteGame: (id: number) => void,
  *   restoreGame: (id: number) => void,
  *   permanentDeleteGame: (id: number) => void,
+ *   replaceGames: (games: import('../types.js').SavedGame[], trash: import('../types.js').SavedGame[]) => Promise<boolean>,
  *   startEditName: (id: number, name: string) => void,
  *   handleNameChange: (e: Event) => void,
  *   saveName: (id: number) => void,
@@ -53,27 +64,153 @@ export function useSudokuGames(grid) {
     /** @type {import('vue').Ref<string>} */
     const editNameValue = ref('');
 
+    /** @type {import('vue').Ref<string | null>} Poslední chyba úložiště pro zobrazení uživateli */
+    const storageError = ref(null);
+
+    /** @type {import('vue').Ref<Record<string, number | null>>} Hra rozehraná v ostatních panelech (podle id panelu) */
+    const otherTabGames = ref({});
+
     /** @type {number | null} */
     let highlightTimeout = null;
 
-    // Načtení z localStorage
-    onMounted(() => {
-        savedGames.value = getFromStorage(
-            STORAGE_KEYS.GAMES,
-            [],
-            isValidSavedGamesArray
-        );
+    /** @type {import('../utils/tabSync.js').SyncChannel | null} */
+    let syncChannel = null;
 
-        trash.value = getFromStorage(
-            STORAGE_KEYS.TRASH,
-            [],
-            isValidSavedGamesArray
-        );
+    /**
+     * Aktuální hra je rozehraná i v jiném panelu - uložení v jednom panelu přepíše druhý
+     */
+    const isGameOpenElsewhere = computed(() =>
+        currentGameId.value !== null && Object.values(otherTabGames.value).includes(currentGameId.value)
+    );
 
-        // Vyčistíme staré položky z koše
-        cleanupTrash();
+    // Načtení z IndexedDB (při prvním spuštění se převezmou hry z localStorage)
+    onMounted(async () => {
+        syncChannel = openSyncChannel(handleSyncMessage);
+        syncChannel.post({ type: 'hello' });
+        window.addEventListener('pagehide', announceLeave);
+
+        await reloadGames();
+    });
+
+    onUnmounted(() => {
+        announceLeave();
+        window.removeEventListener('pagehide', announceLeave);
+        syncChannel?.close();
+        syncChannel = null;
     });
 
+    // Ostatní panely vědí, kterou hru tento panel hraje
+    watch(currentGameId, (gameId) => {
+        syncChannel?.post({ type: 'playing', gameId });
+    });
+
+    /**
+     * Načte hry a koš z úložiště
+     */
+    async function reloadGames() {
+        try {
+            const stored = await loadStoredGames();
+            savedGames.value = stored.games;
+            trash.value = stored.trash;
+            if (currentGameId.value !== null && !stored.games.some(game => game.id === currentGameId.value)) {
+                currentGameId.value = null;
+            }
+            if (stored.quarantined) {
+                storageError.value = `Poškozené uložené hry (${stored.quarantined}) byly odloženy stranou, ostatní hry zůstaly.`;
+            }
+        } catch (error) {
+            console.error('[useSudokuGames] Chyba při načítání her:', error);
+            storageError.value = `Uložené hry se nepodařilo načíst: ${error instanceof Error ? error.message : error}`;
+        }
+    }
+
+    /**
+     * Oznámí ostatním panelům, že se tento panel zavírá
+     */
+    function announceLeave() {
+        syncChannel?.post({ type: 'bye' });
+    }
+
+    /**
+     * Vloží hru do seznamu, existující hru se stejným id nahradí na jejím místě
+     * @param {import('../types.js').SavedGame[]} games
+     * @param {import('../types.js').SavedGame} game
+     * @returns {import('../types.js').SavedGame[]}
+     */
+    function upsertGame(games, game) {
+        return games.some(g => g.id === game.id)
+            ? games.map(g => (g.id === game.id ? game : g))
+            : [...games, game];
+    }
+
+    /**
+     * Zapracuje změnu z jiného panelu - mění jen dotčenou hru, ostatní hry zůstanou
+     * @param {import('../utils/tabSync.js').ReceivedSyncMessage} message
+     */
+    function handleSyncMessage(message) {
+        switch (message.type) {
+            case 'game-saved':
+                savedGames.value = upsertGame(savedGames.value, message.game);
+                break;
+            case 'game-trashed':
+                savedGames.value = savedGames.value.filter(game => game.id !== message.game.id);
+                trash.value = upsertGame(trash.value, message.game);
+                // Hra smazaná jinde by se dalším uložením vrátila mezi hry vedle koše
+                if (currentGameId.value === message.game.id) currentGameId.value = null;
+                break;
+            case 'game-restored':
+                trash.value = trash.value.filter(game => game.id !== message.game.id);
+                savedGames.value = upsertGame(savedGames.value, message.game);
+                break;
+            case 'trash-deleted':
+                trash.value = trash.value.filter(game => !message.ids.includes(game.id));
+                break;
+            case 'games-replaced':
+                reloadGames();
+                break;
+            case 'hello':
+                syncChannel?.post({ type: 'playing', gameId: currentGameId.value });
+                break;
+            case 'playing':
+                otherTabGames.value = { ...otherTabGames.value, [message.from]: message.gameId };
+                break;
+            case 'bye': {
+                const { [message.from]: _, ...rest } = otherTabGames.value;
+                otherTabGames.value = rest;
+                break;
+            }
+        }
+    }
+
+    /**
+     * Zapíše změnu do úložiště a oznámí ji ostatním panelům, při chybě vrátí seznamy her do stavu před změnou a chybu ukáže
+     * @param {() => Promise<void>} write
+     * @param {{ games: import('../types.js').SavedGame[], trash: import('../types.js').SavedGame[] }} previous - Stav před změnou
+     * @param {import('../utils/tabSync.js').SyncMessage} message - Zpráva pro ostatní panely
+     * @returns {Promise<boolean>} True pokud se zápis podařil
+     */
+    async function persist(write, previous, message) {
+        try {
+            await write();
+            syncChannel?.post(message);
+            return true;
+        } catch (error) {
+            console.error('[useSudokuGames] Chyba při ukládání:', error);
+            savedGames.value = previous.games;
+            trash.value = previous.trash;
+            storageError.value = describeStorageError(error);
+            return false;
+        }
+    }
+
+    /**
+     * Stav seznamů her před změnou (pro vrácení při chybě zápisu)
+     * @returns {{ games: import('../types.js').SavedGame[], trash: import('../types.js').SavedGame[] }}
+     */
+    function snapshot() {
+        return { games: savedGames.value, trash: trash.value };
+    }
+
     /**
      * Memoizovaný set ID vyřešených her
      * Přepočítá se pouze při změně savedGames
@@ -81,7 +218,7 @@ export function useSudokuGames(grid) {
     const solvedGameIds = computed(() => {
         const solved = new Set();
         for (const game of savedGames.value) {
-            if (checkIsGridSolved(game.grid)) {
+            if (checkIsGridSolved(game.grid, getConstraintSet(game.rules, game.cages))) {
                 solved.add(game.id);
             }
         }
@@ -98,8 +235,10 @@ export function useSudokuGames(grid) {
         );
 
         if (filtered.length < trash.value.length) {
+            const expiredIds = trash.value.filter(game => !filtered.includes(game)).map(game => game.id);
+            const previous = snapshot();
             trash.value = filtered;
-            setToStorage(STORAGE_KEYS.TRASH, filtered);
+            persist(() => deleteFromTrash(expiredIds), previous, { type: 'trash-deleted', ids: expiredIds });
         }
     }
 
@@ -115,18 +254,25 @@ export function useSudokuGames(grid) {
     /**
      * Uloží aktuální hru
      * @param {string} [difficulty] - Obtížnost hry
+     * @param {Partial<import('../types.js').SavedGame>} [details] - Další údaje o hře (hodnocení, seed...), prázdné hodnoty se ignorují
      */
-    function saveGame(difficulty) {
+    function saveGame(difficulty, details = {}) {
+        const previous = snapshot();
         const newGridSnapshot = copyGrid(grid.value);
+        const definedDetails = Object.fromEntries(
+            Object.entries(details).filter(([, value]) => value !== null && value !== undefined)
+        );
 
         if (currentGameId.value !== null) {
             // Aktualizace existující hry
+            const id = currentGameId.value;
             savedGames.value = savedGames.value.map(game =>
-                game.id === currentGameId.value
-                    ? { ...game, grid: newGridSnapshot, savedAt: new Date().toLocaleString() }
+                game.id === id
+                    ? { ...game, ...definedDetails, grid: newGridSnapshot, savedAt: new Date().toLocaleString() }
                     : game
             );
-            setToStorage(STORAGE_KEYS.GAMES, savedGames.value);
+            const updated = savedGames.value.find(game => game.id === id);
+            if (updated) persist(() => putGame(updated), previous, { type: 'game-saved', game: updated });
 
             // Highlight efekt s cleanup
             highlightedId.value = currentGameId.value;
@@ -140,18 +286,21 @@ export function useSudokuGames(grid) {
             const newId = Date.now();
             const gameNumber = savedGames.value.length + 1;
             const defaultName = `Hra #${gameNumber}`;
-            savedGames.value = [
-                ...savedGames.value,
-                {
-                    id: newId,
-                    grid: newGridSnapshot,
-                    savedAt: new Date().toLocaleString(),
-                    name: defaultName,
-                    difficulty: difficulty || undefined
-                }
-            ];
+            /** @type {import('../types.js').SavedGame} */
+            const newGame = {
+                ...definedDetails,
+                id: newId,
+                grid: newGridSnapshot,
+                savedAt: new Date().toLocaleString(),
+                name: defaultName,
+                difficulty: /** @type {import('../types.js').Difficulty | undefined} */ (difficulty || undefined)
+            };
+            savedGames.value = [...savedGames.value, newGame];
             currentGameId.value = newId;
-            setToStorage(STORAGE_KEYS.GAMES, savedGames.value);
+            persist(() => putGame(newGame), previous, { type: 'game-saved', game: newGame }).then(saved => {
+                // Neuložená hra nemá být aktuální, další uložení by jinak aktualizovalo neexistující hru
+                if (!saved && currentGameId.value === newId) currentGameId.value = null;
+            });
 
             // Highlight efekt
             highlightedId.value = newId;
@@ -169,20 +318,18 @@ export function useSudokuGames(grid) {
      */
     function deleteGame(id) {
         const gameToTrash = savedGames.value.find(game => game.id === id);
+        if (!gameToTrash) return;
+
+        const previous = snapshot();
+        const trashedGame = { ...gameToTrash, deletedAt: Date.now() };
         savedGames.value = savedGames.value.filter(game => game.id !== id);
-        setToStorage(STORAGE_KEYS.GAMES, savedGames.value);
+        trash.value = [...trash.value.filter(g => g.id !== id), trashedGame];
 
         if (currentGameId.value === id) {
             currentGameId.value = null;
         }
 
-        if (gameToTrash) {
-            trash.value = [
-                ...trash.value.filter(g => g.id !== id),
-                { ...gameToTrash, deletedAt: Date.now() }
-            ];
-            setToStorage(STORAGE_KEYS.TRASH, trash.value);
-        }
+        persist(() => moveGameToTrash(trashedGame), previous, { type: 'game-trashed', game: trashedGame });
     }
 
     /**
@@ -192,15 +339,13 @@ export function useSudokuGames(grid) {
     function restoreGame(id) {
         const gameToRestore = trash.value.find(game => game.id === id);
         if (gameToRestore) {
+            const previous = snapshot();
+            const { deletedAt, ...gameWithoutDeletedAt } = gameToRestore;
+            const restoredGame = { ...gameWithoutDeletedAt, savedAt: new Date().toLocaleString() };
             trash.value = trash.value.filter(game => game.id !== id);
-            setToStorage(STORAGE_KEYS.TRASH, trash.value);
+            savedGames.value = [...savedGames.value, restoredGame];
 
-            const { deletedAt, ...gameWithoutDeletedAt } = gameToRestore;
-            savedGames.value = [
-                ...savedGames.value,
-                { ...gameWithoutDeletedAt, savedAt: new Date().toLocaleString() }
-            ];
-            setToStorage(STORAGE_KEYS.GAMES, savedGames.value);
+            persist(() => restoreGameFromTrash(restoredGame), previous, { type: 'game-restored', game: restoredGame });
         }
     }
 
@@ -209,8 +354,29 @@ export function useSudokuGames(grid) {
      * @param {number} id
      */
     function permanentDeleteGame(id) {
+        const previous = snapshot();
         trash.value = trash.value.filter(game => game.id !== id);
-        setToStorage(STORAGE_KEYS.TRASH, trash.value);
+        persist(() => deleteFromTrash([id]), previous, { type: 'trash-deleted', ids: [id] });
+    }
+
+    /**
+     * Nahradí všechny uložené hry a koš (obnovení ze zálohy)
+     * @param {import('../types.js').SavedGame[]} games
+     * @param {import('../types.js').SavedGame[]} newTrash
+     * @returns {Promise<boolean>} True pokud se hry uložily
+     */
+    async function replaceGames(games, newTrash) {
+        const previous = snapshot();
+        const previousGameId = currentGameId.value;
+        savedGames.value = games;
+        trash.value = newTrash;
+        if (!games.some(game => game.id === currentGameId.value)) {
+            currentGameId.value = null;
+        }
+
+        const saved = await persist(() => replaceStoredGames(games, newTrash), previous, { type: 'games-replaced' });
+        if (!saved) currentGameId.value = previousGameId;
+        return saved;
     }
 
     /**
@@ -242,13 +408,16 @@ export function useSudokuGames(grid) {
      * @param {number} id
      */
     function saveName(id) {
+        const previous = snapshot();
         const trimmed = editNameValue.value.trim();
         savedGames.value = savedGames.value.map(game =>
             game.id === id ? { ...game, name: trimmed } : game
         );
         editNameId.value = null;
         editNameValue.value = '';
-        setToStorage(STORAGE_KEYS.GAMES, savedGames.value);
+
+        const renamed = savedGames.value.find(game => game.id === id);
+        if (renamed) persist(() => putGame(renamed), previous, { type: 'game-saved', game: renamed });
     }
 
     /**
@@ -283,11 +452,14 @@ export function useSudokuGames(grid) {
         editNameId,
         editNameValue,
         solvedGameIds,
+        storageError,
+        isGameOpenElsewhere,
         loadGame,
         saveGame,
         deleteGame,
         restoreGame,
         permanentDeleteGame,
+        replaceGames,
         startEditName,
         handleNameChange,
         saveName,
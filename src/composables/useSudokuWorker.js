@@ -1,24 +1,127 @@
 /**
- * Composable pro práci s Web Workerem na generování sudoku
- * Primárně používá externí API, fallback na lokální generování
+ * Composable pro práci s Web Workerem na generování, řešení a hodnocení sudoku
+ * Nové sudoku bere nejdřív ze zásobníku předgenerovaných sudoku, pak ze zdrojů v nastaveném pořadí
+ * (API, lokální generátor, sbírka sudoku), fallback na lokální generování
  */
 
-import { ref, onUnmounted } from 'vue';
-import { generateSudoku as generateSudokuSync } from '../utils/sudokuGenerator.js';
-import { useSudokuApi } from './useSudokuApi.js';
+import { ref, watch, onMounted, onUnmounted } from 'vue';
+import { runTask } from '../utils/sudokuTasks.js';
+import { dailySeed } from '../utils/daily.js';
+import { DIFFICULTY_MAP, DEFAULT_POOL_SIZES, STORAGE_KEYS } from '../types.js';
+import { DEFAULT_GRID_SIZE } from '../utils/gridSize.js';
+import { takePoolPuzzle, poolPuzzleToGrid, getPoolCounts } from '../utils/puzzlePool.js';
+import { getFromStorage, setToStorage, isValidPoolSizes, isValidProviderOrder } from '../utils/localStorage.js';
+import { createApiProvider, createBundledProvider, DEFAULT_PROVIDER_ORDER } from '../utils/puzzleProviders.js';
+
+/**
+ * Prodleva doplnění zásobníku v prohlížečích bez requestIdleCallback (ms)
+ */
+const POOL_FILL_DELAY_MS = 2000;
+
+/**
+ * Časový limit generování ve workeru (ms) - po něm se worker ukončí a spustí znovu
+ */
+const GENERATE_TIMEOUT_MS = 20000;
+
+/**
+ * Časový limit ostatních výpočtů ve workeru (ms)
+ */
+const TASK_TIMEOUT_MS = 10000;
+
+/**
+ * @typedef {Object} GeneratedPuzzle
+ * @property {import('../types.js').SudokuGrid} grid
+ * @property {import('../utils/puzzleProviders.js').ProviderId} source
+ * @property {string | null} seed - Seed lokálně generovaného sudoku
+ * @property {import('../types.js').Difficulty} [seedDifficulty] - Obtížnost, se kterou seed sudoku zopakuje,
+ *   pokud se liší od požadované (sudoku ze zásobníku)
+ * @property {string | null} solution - Řešení (znaky číslic po řádcích), pokud je známé
+ * @property {import('../types.js').Cage[] | null} [cages] - Klece killer sudoku
+ * @property {import('../types.js').RuleId[]} [rules] - Pravidla navíc, se kterými sudoku vzniklo
+ */
+
+/**
+ * @typedef {Object} TaskOptions
+ * @property {AbortSignal} [signal] - Zrušení požadavku (ukončí worker)
+ * @property {number} [timeoutMs] - Časový limit, po kterém se worker ukončí
+ * @property {(progress: import('../utils/sudokuTasks.js').TaskProgress) => void} [onProgress]
+ */
+
+/**
+ * @typedef {Object} PendingRequest
+ * @property {import('../workers/sudokuWorker.js').WorkerRequest} message - Pro opětovné odeslání po restartu workeru
+ * @property {(result: any) => void} resolve
+ * @property {(error: Error) => void} reject
+ * @property {TaskOptions['onProgress']} onProgress
+ * @property {ReturnType<typeof setTimeout>} timeout
+ */
+
+/**
+ * Chyba zrušeného požadavku (stejný název jako u fetch s AbortSignal)
+ * @returns {DOMException}
+ */
+function createAbortError() {
+    return new DOMException('Výpočet byl zrušen.', 'AbortError');
+}
+
+/**
+ * Ověří, zda chyba znamená zrušení požadavku
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+    return error instanceof DOMException && error.name === 'AbortError';
+}
 
 /**
  * @returns {{
  *   isGenerating: import('vue').Ref<boolean>,
- *   generateSudoku: (minFilled?: number, difficulty?: string) => Promise<import('../types.js').SudokuGrid>
+ *   generationProgress: import('vue').Ref<import('../utils/sudokuTasks.js').TaskProgress | null>,
+ *   generateSudoku: (minFilled?: number, difficulty?: string, seed?: string, rules?: import('../types.js').RuleId[], size?: import('../types.js').GridSize) => Promise<GeneratedPuzzle>,
+ *   generateDaily: (date: string, difficulty: import('../types.js').Difficulty) => Promise<GeneratedPuzzle>,
+ *   generateKiller: (difficulty: import('../types.js').Difficulty, seed?: string, rules?: import('../types.js').RuleId[]) => Promise<GeneratedPuzzle>,
+ *   cancelGeneration: () => void,
+ *   solvePuzzle: (grid: import('../types.js').SudokuGrid, rules?: import('../utils/sudokuTasks.js').TaskRules) => Promise<import('../types.js').SudokuGrid | null>,
+ *   countSolutions: (grid: import('../types.js').SudokuGrid, maxCount?: number, rules?: import('../utils/sudokuTasks.js').TaskRules) => Promise<number>,
+ *   validatePuzzle: (grid: import('../types.js').SudokuGrid, rules?: import('../utils/sudokuTasks.js').TaskRules) => Promise<import('../utils/sudokuTasks.js').ValidateTaskResult>,
+ *   findHint: (grid: import('../types.js').SudokuGrid) => Promise<{ step: import('../utils/logicalSolver.js').SolveStep | null, solvable: boolean }>,
+ *   gradePuzzle: (grid: import('../types.js').SudokuGrid) => Promise<import('../types.js').GridRating | null>,
+ *   poolSizes: import('vue').Ref<Record<import('../types.js').Difficulty, number>>,
+ *   poolCounts: import('vue').Ref<Record<import('../types.js').Difficulty, number>>,
+ *   providerOrder: import('vue').Ref<Record<import('../types.js').Difficulty, import('../utils/puzzleProviders.js').ProviderId[]>>
  * }}
  */
 export function useSudokuWorker() {
     const isGenerating = ref(false);
-    const { fetchSudoku } = useSudokuApi();
+    /** @type {import('vue').Ref<import('../utils/sudokuTasks.js').TaskProgress | null>} Průběh generování (pokusy o cílovou obtížnost) */
+    const generationProgress = ref(null);
+
+    /** @type {import('vue').Ref<Record<import('../types.js').Difficulty, number>>} Cílový počet předgenerovaných sudoku */
+    const poolSizes = ref({ ...DEFAULT_POOL_SIZES });
+    /** @type {import('vue').Ref<Record<import('../types.js').Difficulty, number>>} Počet sudoku v zásobníku */
+    const poolCounts = ref({ easy: 0, medium: 0, hard: 0 });
+    /** @type {import('vue').Ref<Record<import('../types.js').Difficulty, import('../utils/puzzleProviders.js').ProviderId[]>>} Pořadí zdrojů sudoku */
+    const providerOrder = ref(structuredClone(DEFAULT_PROVIDER_ORDER));
+
+    /** Zdroje, které sudoku stahují (fronty nepoužitých sudoku drží po celou dobu běhu) */
+    const providers = {
+        api: createApiProvider(),
+        bundled: createBundledProvider()
+    };
 
     /** @type {Worker | null} */
     let worker = null;
+    /** @type {Map<number, PendingRequest>} Požadavky čekající na odpověď workeru */
+    const pending = new Map();
+    let nextRequestId = 1;
+    /** Worker právě doplňuje zásobník - požadavek uživatele ho raději přeruší restartem */
+    let isPoolFilling = false;
+    /** @type {AbortController | null} Zrušení probíhajícího generování */
+    let generationController = null;
+    /** @type {(() => void) | null} Zrušení naplánovaného doplnění zásobníku */
+    let cancelPoolFill = null;
+    /** Komponenta je odpojená - zásobník se už neplánuje */
+    let isDisposed = false;
 
     /**
      * Vytvoří nový Worker pokud neexistuje
@@ -33,6 +136,9 @@ export function useSudokuWorker() {
                 new URL('../workers/sudokuWorker.js', import.meta.url),
                 { type: 'module' }
             );
+            // Jediný posluchač pro všechny požadavky - odpovědi se párují podle id
+            worker.onmessage = handleWorkerMessage;
+            worker.onerror = handleWorkerError;
             return worker;
         } catch (error) {
             console.warn('Web Worker není podporován, použijeme synchronní generování:', error);
@@ -40,83 +146,415 @@ export function useSudokuWorker() {
         }
     }
 
+    /**
+     * @param {MessageEvent<import('../workers/sudokuWorker.js').WorkerResponse>} event
+     */
+    function handleWorkerMessage(event) {
+        const response = event.data;
+        if (response.type === 'pool') {
+            poolCounts.value = response.poolCounts;
+            isPoolFilling = !response.done;
+            return;
+        }
+
+        const request = pending.get(response.id);
+        if (!request) return;
+
+        if (response.type === 'progress') {
+            request.onProgress?.(response.progress);
+            return;
+        }
+
+        clearTimeout(request.timeout);
+        pending.delete(response.id);
+        if (response.type === 'result') {
+            request.resolve(response.result);
+        } else {
+            request.reject(new Error(response.error || 'Chyba ve workeru'));
+        }
+    }
+
+    /**
+     * Chyba, kterou worker sám neohlásil (např. se nepodařilo načíst skript) - selžou všechny požadavky
+     * @param {ErrorEvent} event
+     */
+    function handleWorkerError(event) {
+        event.preventDefault();
+        console.error('Chyba ve workeru:', event.message);
+        const error = new Error(event.message || 'Chyba ve workeru');
+        for (const [id, request] of pending) {
+            clearTimeout(request.timeout);
+            pending.delete(id);
+            request.reject(error);
+        }
+        stopWorker();
+    }
+
+    /**
+     * Ukončí worker (i uprostřed výpočtu)
+     */
+    function stopWorker() {
+        worker?.terminate();
+        worker = null;
+        isPoolFilling = false;
+    }
+
+    /**
+     * Ukončí worker a čekající požadavky pošle novému
+     */
+    function restartWorker() {
+        stopWorker();
+        const fresh = getWorker();
+        for (const request of pending.values()) {
+            fresh?.postMessage(request.message);
+        }
+    }
+
+    /**
+     * Zruší požadavek - worker se ukončí, jinak by výpočet nešlo zastavit
+     * @param {number} id
+     * @param {Error} error - Chyba, se kterou požadavek selže
+     */
+    function cancelRequest(id, error) {
+        const request = pending.get(id);
+        if (!request) return;
+
+        clearTimeout(request.timeout);
+        pending.delete(id);
+        request.reject(error);
+        restartWorker();
+    }
+
+    /**
+     * Pošle požadavek workeru, bez podpory workerů ho provede v hlavním vlákně
+     * @template T
+     * @param {import('../utils/sudokuTasks.js').TaskType} type
+     * @param {unknown} payload
+     * @param {TaskOptions} [options]
+     * @returns {Promise<T>}
+     */
+    function runInWorker(type, payload, { signal, timeoutMs = TASK_TIMEOUT_MS, onProgress } = {}) {
+        if (signal?.aborted) return Promise.reject(createAbortError());
+
+        // Doplňování zásobníku by požadavek zdrželo - přerušíme ho a po vyřízení požadavku naplánujeme znovu
+        const interruptsPoolFill = isPoolFilling;
+        if (interruptsPoolFill) restartWorker();
+        const workerInstance = getWorker();
+        if (!workerInstance) {
+            try {
+                return Promise.resolve(/** @type {T} */ (runTask(type, payload, onProgress)));
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+
+        const request = new Promise((resolve, reject) => {
+            const id = nextRequestId++;
+            // Reaktivní proxy z Vue nejdou přes postMessage předat, posíláme prostou kopii
+            /** @type {import('../workers/sudokuWorker.js').WorkerRequest} */
+            const message = { id, type, payload: JSON.parse(JSON.stringify(payload)) };
+            const timeout = setTimeout(() => {
+                cancelRequest(id, new Error('Výpočet trval příliš dlouho.'));
+            }, timeoutMs);
+
+            pending.set(id, { message, resolve, reject, onProgress, timeout });
+            signal?.addEventListener('abort', () => cancelRequest(id, createAbortError()), { once: true });
+            workerInstance.postMessage(message);
+        });
+        if (interruptsPoolFill) {
+            const reschedule = () => { if (!isDisposed) schedulePoolFill(); };
+            request.then(reschedule, reschedule);
+        }
+        return request;
+    }
+
     /**
      * Generuje sudoku pomocí lokálního workeru
+     * @param {import('../utils/sudokuTasks.js').GenerateTaskPayload} options - Bez seedu se generuje na cílovou obtížnost
+     * @returns {Promise<GeneratedPuzzle>}
+     */
+    async function generateWithWorker(options) {
+        /** @type {import('../utils/sudokuTasks.js').GenerateTaskResult} */
+        const { grid, seed, solution, cages } = await runInWorker('generate', options, {
+            signal: generationController?.signal,
+            timeoutMs: GENERATE_TIMEOUT_MS,
+            onProgress: (progress) => { generationProgress.value = progress; }
+        });
+        return { grid, source: 'local', seed, solution, cages: cages ?? null, rules: options.rules ?? [] };
+    }
+
+    /**
+     * Spustí generování - nastaví stav, umožní ho zrušit a po skončení naplánuje doplnění zásobníku
+     * @param {() => Promise<GeneratedPuzzle>} generate
+     * @returns {Promise<GeneratedPuzzle>}
+     */
+    async function runGeneration(generate) {
+        generationController?.abort();
+        const controller = new AbortController();
+        generationController = controller;
+        isGenerating.value = true;
+        generationProgress.value = null;
+
+        try {
+            return await generate();
+        } finally {
+            // Novější generování mohlo mezitím začít, jeho stav neměníme
+            if (generationController === controller) {
+                generationController = null;
+                isGenerating.value = false;
+                generationProgress.value = null;
+            }
+            // Doplnění vyčká, až bude prohlížeč nečinný
+            schedulePoolFill();
+        }
+    }
+
+    /**
+     * Zruší probíhající generování (worker se ukončí)
+     */
+    function cancelGeneration() {
+        generationController?.abort();
+    }
+
+    /**
+     * Naplánuje doplnění zásobníku na dobu, kdy prohlížeč nic nedělá
+     * Bez Web Workeru se zásobník nedoplňuje, generování by blokovalo UI
+     */
+    function schedulePoolFill() {
+        cancelPoolFill?.();
+
+        const fill = () => {
+            cancelPoolFill = null;
+            const workerInstance = getWorker();
+            if (!workerInstance) return;
+            isPoolFilling = true;
+            workerInstance.postMessage({ type: 'fill-pool', poolSizes: { ...poolSizes.value } });
+        };
+        if (typeof requestIdleCallback === 'function') {
+            const handle = requestIdleCallback(fill, { timeout: POOL_FILL_DELAY_MS * 5 });
+            cancelPoolFill = () => cancelIdleCallback(handle);
+        } else {
+            const handle = setTimeout(fill, POOL_FILL_DELAY_MS);
+            cancelPoolFill = () => clearTimeout(handle);
+        }
+    }
+
+    /**
+     * Ověří stažené zadání ve workeru - musí mít jediné řešení a to se musí shodovat s deklarovaným
+     * @param {import('../utils/puzzleProviders.js').ProvidedPuzzle} puzzle
+     * @returns {Promise<string | null>} Řešení, null pokud zadání ověřením neprošlo
+     */
+    async function verifyPuzzle(puzzle) {
+        /** @type {import('../utils/sudokuTasks.js').ValidateTaskResult} */
+        const { solutionCount, solution } = await runInWorker('validate', { grid: poolPuzzleToGrid(puzzle) }, {
+            signal: generationController?.signal
+        });
+        if (solutionCount !== 1) {
+            console.warn(`Zadání nemá jediné řešení (${solutionCount === 0 ? 'žádné' : 'více'}), přeskočeno`);
+            return null;
+        }
+        if (puzzle.solution && puzzle.solution !== solution) {
+            console.warn('Deklarované řešení neodpovídá zadání, přeskočeno');
+            return null;
+        }
+        return solution;
+    }
+
+    /**
+     * Vezme sudoku od zdrojů v nastaveném pořadí
+     * Nedostupný zdroj, jeho chyba nebo zadání, které neprojde ověřením, znamená přechod na další zdroj.
+     * Když lokální generátor v pořadí není a žádný zdroj neuspěje, generuje se lokálně stejně.
      * @param {number} minFilled
-     * @returns {Promise<{grid: import('../types.js').SudokuGrid, source: 'local'}>}
+     * @param {import('../types.js').Difficulty} level
+     * @returns {Promise<GeneratedPuzzle>}
      */
-    async function generateWithWorker(minFilled) {
-        const workerInstance = getWorker();
+    async function takeFromProviders(minFilled, level) {
+        const order = providerOrder.value[level];
+        /** @type {unknown} */
+        let lastError = null;
 
-        if (workerInstance) {
-            return await new Promise((resolve, reject) => {
-                const timeout = setTimeout(() => {
-                    reject(new Error('Timeout při generování sudoku'));
-                }, 10000); // 10s timeout
-
-                workerInstance.onmessage = (event) => {
-                    clearTimeout(timeout);
-                    const response = event.data;
-
-                    if (response.type === 'success') {
-                        resolve({ grid: response.grid, source: 'local' });
-                    } else {
-                        reject(new Error(response.error || 'Chyba při generování'));
-                    }
-                };
+        for (const id of order) {
+            try {
+                if (id === 'local') {
+                    return await generateWithWorker({ minFilled, difficulty: level });
+                }
 
-                workerInstance.onerror = (error) => {
-                    clearTimeout(timeout);
-                    reject(error);
-                };
+                const puzzle = await providers[id].fetchPuzzle(level, generationController?.signal);
+                if (!puzzle) continue;
 
-                workerInstance.postMessage({ type: 'generate', minFilled });
-            });
+                const solution = await verifyPuzzle(puzzle);
+                if (solution) {
+                    console.log(`Sudoku ze zdroje ${id}, obtížnost:`, puzzle.difficulty);
+                    return { grid: poolPuzzleToGrid(puzzle), source: id, seed: null, solution };
+                }
+            } catch (error) {
+                // Zrušené generování neopakujeme u dalšího zdroje
+                if (isAbortError(error)) throw error;
+                console.warn(`Zdroj sudoku ${id} selhal:`, error);
+                lastError = error;
+            }
         }
 
-        // Fallback - synchronní generování
-        return { grid: generateSudokuSync(minFilled), source: 'local' };
+        if (order.includes('local')) {
+            throw lastError ?? new Error('Žádný zdroj nevrátil sudoku.');
+        }
+        console.log('Žádný zdroj nevrátil sudoku, používám lokální generování');
+        return generateWithWorker({ minFilled, difficulty: level });
     }
 
     /**
-     * Generuje sudoku - primárně z API, fallback na lokální generování
+     * Generuje sudoku - nejdřív ze zásobníku, pak ze zdrojů v nastaveném pořadí
+     * Se seedem, s pravidly navíc nebo v jiné velikosti než 9x9 se generuje vždy lokálně (zdroje nabízí jen klasické 9x9)
      * @param {number} [minFilled=30] - Počet vyplněných políček pro lokální generování
      * @param {string} [difficulty='medium'] - Požadovaná obtížnost (easy, medium, hard)
-     * @returns {Promise<{grid: import('../types.js').SudokuGrid, source: 'api' | 'local'}>}
+     * @param {string} [seed] - Seed pro přesné zopakování sudoku
+     * @param {import('../types.js').RuleId[]} [rules] - Pravidla navíc
+     * @param {import('../types.js').GridSize} [size=9] - Velikost mřížky
+     * @returns {Promise<GeneratedPuzzle>}
+     * @throws {DOMException} AbortError, pokud generování zrušil cancelGeneration
      */
-    async function generateSudoku(minFilled = 30, difficulty = 'medium') {
-        isGenerating.value = true;
+    function generateSudoku(minFilled = 30, difficulty = 'medium', seed, rules, size = DEFAULT_GRID_SIZE) {
+        const level = /** @type {import('../types.js').Difficulty} */ (difficulty);
 
-        try {
-            // Primární zdroj: externí API
-            const apiResult = await fetchSudoku(difficulty);
+        return runGeneration(async () => {
+            if (seed) {
+                return generateWithWorker({ minFilled, seed, rules, size });
+            }
+            if (rules?.length || size !== DEFAULT_GRID_SIZE) {
+                return generateWithWorker({ minFilled, difficulty: level, rules, size });
+            }
 
-            if (apiResult && apiResult.grid) {
-                console.log('Sudoku načteno z API, obtížnost:', apiResult.difficulty);
-                return { grid: apiResult.grid, source: 'api' };
+            const pooled = await takePoolPuzzle(level);
+            if (pooled) {
+                return {
+                    grid: poolPuzzleToGrid(pooled),
+                    source: 'local',
+                    seed: pooled.seed,
+                    seedDifficulty: pooled.seedDifficulty ?? pooled.difficulty,
+                    solution: pooled.solution
+                };
             }
+            return takeFromProviders(minFilled, level);
+        });
+    }
 
-            // Fallback: lokální generování
-            console.log('API nevrátilo požadovanou obtížnost, používám lokální generování');
-            return await generateWithWorker(minFilled);
-        } catch (error) {
-            console.warn('Chyba při generování z API, fallback na lokální:', error);
-            return await generateWithWorker(minFilled);
-        } finally {
-            isGenerating.value = false;
-        }
+    /**
+     * Generuje denní sudoku - vždy lokálně ze seedu odvozeného z data
+     * Seedované generování s obtížností nemá časový limit, výsledek je proto všude stejný
+     * @param {string} date - Den ve formátu YYYY-MM-DD
+     * @param {import('../types.js').Difficulty} difficulty
+     * @returns {Promise<GeneratedPuzzle>}
+     */
+    function generateDaily(date, difficulty) {
+        return runGeneration(() => generateWithWorker({
+            minFilled: DIFFICULTY_MAP[difficulty],
+            difficulty,
+            seed: dailySeed(date, difficulty)
+        }));
+    }
+
+    /**
+     * Generuje killer sudoku - vždy lokálně, API klece nenabízí
+     * @param {import('../types.js').Difficulty} difficulty
+     * @param {string} [seed] - Seed pro přesné zopakování sudoku
+     * @param {import('../types.js').RuleId[]} [rules] - Pravidla navíc ke klecím
+     * @returns {Promise<GeneratedPuzzle>}
+     */
+    function generateKiller(difficulty, seed, rules) {
+        return runGeneration(() => generateWithWorker({ variant: 'killer', difficulty, seed, rules }));
     }
 
+    /**
+     * Vyřeší sudoku ve workeru
+     * @param {import('../types.js').SudokuGrid} grid
+     * @param {import('../utils/sudokuTasks.js').TaskRules} [rules] - Pravidla navíc a klece
+     * @returns {Promise<import('../types.js').SudokuGrid | null>} Null pokud není řešitelné
+     */
+    function solvePuzzle(grid, rules = {}) {
+        return runInWorker('solve', { grid, ...rules });
+    }
+
+    /**
+     * Spočítá řešení sudoku ve workeru (do maxCount)
+     * @param {import('../types.js').SudokuGrid} grid
+     * @param {number} [maxCount=2]
+     * @param {import('../utils/sudokuTasks.js').TaskRules} [rules] - Pravidla navíc a klece
+     * @returns {Promise<number>}
+     */
+    function countSolutions(grid, maxCount = 2, rules = {}) {
+        return runInWorker('count-solutions', { grid, maxCount, ...rules });
+    }
+
+    /**
+     * Ověří zadání ve workeru (rozpory, počet řešení, jediné řešení)
+     * @param {import('../types.js').SudokuGrid} grid - Bere se v úvahu jen zadání
+     * @param {import('../utils/sudokuTasks.js').TaskRules} [rules] - Pravidla navíc a klece
+     * @returns {Promise<import('../utils/sudokuTasks.js').ValidateTaskResult>}
+     */
+    function validatePuzzle(grid, rules = {}) {
+        return runInWorker('validate', { grid, ...rules });
+    }
+
+    /**
+     * Najde další logický krok ve workeru (jen klasické 9x9)
+     * @param {import('../types.js').SudokuGrid} grid
+     * @returns {Promise<{ step: import('../utils/logicalSolver.js').SolveStep | null, solvable: boolean }>}
+     */
+    function findHint(grid) {
+        return runInWorker('hint', { grid });
+    }
+
+    /**
+     * Ohodnotí zadání podle technik ve workeru (jen klasické 9x9)
+     * @param {import('../types.js').SudokuGrid} grid
+     * @returns {Promise<import('../types.js').GridRating | null>}
+     */
+    function gradePuzzle(grid) {
+        return runInWorker('grade', { grid });
+    }
+
+    onMounted(async () => {
+        poolSizes.value = getFromStorage(STORAGE_KEYS.POOL_SIZES, { ...DEFAULT_POOL_SIZES }, isValidPoolSizes);
+        providerOrder.value = getFromStorage(STORAGE_KEYS.PROVIDER_ORDER, structuredClone(DEFAULT_PROVIDER_ORDER), isValidProviderOrder);
+        poolCounts.value = await getPoolCounts();
+        schedulePoolFill();
+    });
+
+    watch(poolSizes, (sizes) => {
+        setToStorage(STORAGE_KEYS.POOL_SIZES, sizes);
+        schedulePoolFill();
+    }, { deep: true });
+
+    watch(providerOrder, (order) => {
+        setToStorage(STORAGE_KEYS.PROVIDER_ORDER, order);
+    }, { deep: true });
+
     // Cleanup při unmount
     onUnmounted(() => {
-        if (worker) {
-            worker.terminate();
-            worker = null;
+        isDisposed = true;
+        cancelPoolFill?.();
+        for (const request of pending.values()) {
+            clearTimeout(request.timeout);
+            request.reject(createAbortError());
         }
+        pending.clear();
+        stopWorker();
     });
 
     return {
         isGenerating,
-        generateSudoku
+        generationProgress,
+        generateSudoku,
+        generateDaily,
+        generateKiller,
+        cancelGeneration,
+        solvePuzzle,
+        countSolutions,
+        validatePuzzle,
+        findHint,
+        gradePuzzle,
+        poolSizes,
+        poolCounts,
+        providerOrder
     };
 }
\ No newline at end of file
@@ -0,0 +1,65 @@
+/**
+ * Service worker - aplikace funguje i offline
+ * Šablona: seznam souborů a verzi cache doplní při buildu scripts/serviceWorkerPlugin.js (výstup sw.js).
+ *
+ * Všechny sestavené soubory se uloží při instalaci a servírují se z cache, navigace dostanou uložený index.html.
+ * Nová verze čeká, dokud ji stránka nepotvrdí zprávou 'skip-waiting' (dialog "Je k dispozici nová verze"),
+ * takže se uprostřed hry nevymění soubory pod běžící aplikací. Požadavky na jiné domény (API) jdou rovnou do sítě.
+ */
+
+const CACHE_VERSION = '__CACHE_VERSION__';
+const CACHE_PREFIX = 'sudoku-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+/**
+ * Cesty relativně k base aplikace (/sudoku/)
+ * @type {string[]}
+ */
+const PRECACHE_URLS = /* __PRECACHE_URLS__ */ [];
+
+const INDEX_URL = new URL('index.html', self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.addAll(PRECACHE_URLS.map(path => new URL(path, self.registration.scope).href))
+        )
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin || !url.href.startsWith(self.registration.scope)) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match(INDEX_URL).then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request).then(cached => cached || fetch(request))
+    );
+});
@@ -1,11 +1,17 @@
 /**
  * @typedef {Object} GridCell
- * @property {string} value - Hodnota buňky (1-9 nebo '')
+ * @property {string} value - Hodnota buňky (1-9, u 16x16 i A-G, nebo '')
  * @property {boolean} isStatic - Zda je buňka předvyplněná
+ * @property {string[]} [notes] - Poznámky hráče (kandidáti), zobrazují se jen u prázdné buňky
  */
 
 /**
- * @typedef {GridCell[][]} SudokuGrid
+ * @typedef {GridCell[][]} SudokuGrid - Čtvercová mřížka velikosti GridSize
+ */
+
+/**
+ * Velikost mřížky (4x4 a 16x16 s bloky 2x2 a 4x4, 6x6 s bloky 2x3)
+ * @typedef {4 | 6 | 9 | 16} GridSize
  */
 
 /**
@@ -15,19 +21,127 @@
  * @property {string} savedAt - Datum uložení
  * @property {string} [name] - Název hry
  * @property {Difficulty} [difficulty] - Obtížnost hry
+ * @property {GridRating} [rating] - Vypočtené hodnocení zadání
+ * @property {string} [seed] - Seed lokálně generovaného zadání
+ * @property {Difficulty} [seedDifficulty] - Obtížnost, se kterou bylo zadání ze seedu generováno
+ * @property {number} [elapsedMs] - Odehraný čas v milisekundách
+ * @property {boolean} [completed] - Hra už je započtená do statistik (vyřešená nebo vyřešená automaticky)
+ * @property {DailyRef} [daily] - Denní sudoku, ke kterému hra patří
+ * @property {string} [solution] - Řešení zadání (znaky číslic po řádcích)
+ * @property {SudokuVariant} [variant] - Varianta sudoku (výchozí klasické)
+ * @property {Cage[]} [cages] - Klece killer sudoku
+ * @property {RuleId[]} [rules] - Pravidla navíc (X-Sudoku, Hyper, anti-jezdec, anti-král)
  * @property {number} [deletedAt] - Timestamp smazání (pro koš)
  */
 
+/**
+ * @typedef {Object} CurrentGameMeta
+ * @property {string | null} seed - Seed lokálně generovaného zadání
+ * @property {Difficulty | null} seedDifficulty - Obtížnost, se kterou bylo zadání ze seedu generováno
+ * @property {number} [elapsedMs] - Odehraný čas v milisekundách
+ * @property {boolean} [completed] - Hra už je započtená do statistik
+ * @property {DailyRef | null} [daily] - Právě hrané denní sudoku
+ * @property {string | null} [solution] - Řešení zadání (znaky číslic po řádcích)
+ * @property {SudokuVariant} [variant] - Varianta sudoku
+ * @property {Cage[] | null} [cages] - Klece killer sudoku
+ * @property {RuleId[]} [rules] - Pravidla navíc
+ * @property {number | null} [gameId] - Uložená hra, ke které rozehraná hra patří
+ * @property {boolean} [creating] - Hráč zadává vlastní sudoku (vyplněné číslice jsou zadání)
+ */
+
+/**
+ * @typedef {'classic' | 'killer'} SudokuVariant
+ */
+
+/**
+ * Pravidlo navíc ke klasickému sudoku
+ * - diagonal: číslice se neopakují na úhlopříčkách (X-Sudoku)
+ * - hyper: čtyři okna 3x3 navíc (Hyper/Windoku)
+ * - antiKnight: stejné číslice nesmí být na skok jezdce
+ * - antiKing: stejné číslice se nesmí dotýkat ani rohem
+ * @typedef {'diagonal' | 'hyper' | 'antiKnight' | 'antiKing'} RuleId
+ */
+
+/**
+ * @typedef {Object} Cage
+ * @property {{ row: number, col: number }[]} cells - Buňky klece
+ * @property {number} sum - Cílový součet číslic v kleci
+ * @property {boolean} [unique] - Číslice se v kleci nesmí opakovat (výchozí true)
+ */
+
+/**
+ * @typedef {Object} DailyRef
+ * @property {string} date - Den ve formátu YYYY-MM-DD
+ * @property {Difficulty} difficulty
+ * @property {boolean} replay - Opakované hraní už vyřešeného dne (výsledek se nemění)
+ */
+
+/**
+ * @typedef {Object} DailyRecord
+ * @property {string} date - Den ve formátu YYYY-MM-DD
+ * @property {Difficulty} difficulty
+ * @property {string} seed - Seed, ze kterého zadání vzniklo
+ * @property {SudokuGrid} grid - Poslední stav hry
+ * @property {number} elapsedMs - Odehraný čas
+ * @property {number | null} completedAt - Timestamp dokončení
+ * @property {boolean} autoSolved - Dokončeno automatickým řešením
+ */
+
+/**
+ * @typedef {'edit' | 'hint' | 'solve' | 'clear'} HistoryAction
+ */
+
+/**
+ * @typedef {Object} CellChange
+ * @property {number} row
+ * @property {number} col
+ * @property {GridCell} before - Stav buňky před změnou
+ * @property {GridCell} after - Stav buňky po změně
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {HistoryAction} action - Typ akce, která změnu způsobila
+ * @property {CellChange[]} changes - Změněné buňky
+ */
+
 /**
  * @typedef {'easy' | 'medium' | 'hard'} Difficulty
  */
 
+/**
+ * @typedef {Object} GridRating
+ * @property {Difficulty} difficulty - Obtížnost podle nejtěžší potřebné techniky
+ * @property {import('./utils/logicalSolver.js').TechniqueId | null} hardestTechnique - Nejtěžší použitá technika
+ * @property {boolean} solvedLogically - Zda stačily podporované techniky
+ * @property {number} steps - Počet logických kroků k vyřešení
+ * @property {number} score - Číselné skóre pro porovnání (vyšší = těžší)
+ */
+
 /**
  * @typedef {'media' | 'dark' | 'light'} Theme
  */
 
 /**
- * Konstanty pro počet vyplněných políček podle obtížnosti
+ * @typedef {Object} DifficultyStats
+ * @property {number} started - Počet začatých sudoku
+ * @property {number} solved - Počet sudoku vyřešených hráčem
+ * @property {number} totalTimeMs - Součet časů vyřešených sudoku
+ * @property {number | null} bestTimeMs - Nejlepší čas
+ * @property {number} hintsUsed - Počet zobrazených nápověd
+ * @property {number} autoSolves - Počet automaticky vyřešených sudoku
+ * @property {string[]} solveDates - Dny s vyřešeným sudoku (YYYY-MM-DD, seřazené)
+ */
+
+/**
+ * @typedef {Object} PlayerStats
+ * @property {number} version - Verze formátu statistik
+ * @property {Record<Difficulty, DifficultyStats>} byDifficulty
+ */
+
+/**
+ * Minimální počet předvyplněných políček při lokálním generování
+ * Obtížnost samotnou určuje hodnocení podle technik, toto je jen výchozí bod generátoru
  * @type {Record<Difficulty, number>}
  */
 export const DIFFICULTY_MAP = {
@@ -53,9 +167,33 @@ export const STORAGE_KEYS = {
     GAMES: 'sudoku_saved_games',
     TRASH: 'sudoku_games_trash',
     THEME: 'sudoku_theme',
-    CURRENT_GRID: 'sudoku_current_grid'
+    CURRENT_GRID: 'sudoku_current_grid',
+    HISTORY: 'sudoku_history',
+    CURRENT_META: 'sudoku_current_meta',
+    STATS: 'sudoku_stats',
+    DAILY: 'sudoku_daily',
+    CHECK_MODE: 'sudoku_check_mode',
+    POOL_SIZES: 'sudoku_pool_sizes',
+    PROVIDER_ORDER: 'sudoku_provider_order',
+    QUARANTINE: 'sudoku_quarantine',
+    SYNC: 'sudoku_sync'
+};
+
+/**
+ * Výchozí počet předgenerovaných sudoku v zásobníku pro každou obtížnost
+ * @type {Record<Difficulty, number>}
+ */
+export const DEFAULT_POOL_SIZES = {
+    easy: 3,
+    medium: 3,
+    hard: 3
 };
 
+/**
+ * Nejvyšší nastavitelný počet sudoku v zásobníku na obtížnost
+ */
+export const MAX_POOL_SIZE = 20;
+
 /**
  * Doba automatického mazání z koše (7 dní)
  */
@@ -66,6 +204,16 @@ export const TRASH_AUTO_REMOVE_MS = 7 * 24 * 60 * 60 * 1000;
  */
 export const MAX_GAME_NAME_LENGTH = 100;
 
+/**
+ * Maximální délka seedu generátoru
+ */
+export const MAX_SEED_LENGTH = 64;
+
+/**
+ * Maximální počet kroků v historii undo/redo
+ */
+export const HISTORY_LIMIT = 200;
+
 /**
  * Animace v ms
  */
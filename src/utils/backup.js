@@ -0,0 +1,201 @@
+/**
+ * Záloha všech her do souboru a obnovení ze zálohy
+ * Záloha obsahuje uložené hry, koš, rozehranou hru a nastavení. Soubor nese verzi formátu,
+ * starší zálohy se při načtení převedou, novější (z novější verze aplikace) se odmítnou.
+ */
+
+import {
+    isValidSavedGame,
+    isValidGrid,
+    isValidCurrentMeta,
+    isValidTheme,
+    isValidCheckMode,
+    isValidPoolSizes,
+    isValidProviderOrder
+} from './localStorage.js';
+
+/**
+ * Označení souboru zálohy
+ */
+const BACKUP_FORMAT = 'sudoku-backup';
+
+/**
+ * Aktuální verze formátu zálohy
+ */
+export const BACKUP_VERSION = 1;
+
+/**
+ * Maximální velikost souboru zálohy (20 MB) - záloha může obsahovat stovky her
+ */
+export const MAX_BACKUP_FILE_SIZE = 20 * 1024 * 1024;
+
+/**
+ * @typedef {Object} BackupPreferences
+ * @property {import('../types.js').Theme} [theme]
+ * @property {import('./checking.js').CheckMode} [checkMode]
+ * @property {Record<import('../types.js').Difficulty, number>} [poolSizes]
+ * @property {Record<import('../types.js').Difficulty, import('./puzzleProviders.js').ProviderId[]>} [providerOrder]
+ */
+
+/**
+ * @typedef {Object} BackupCurrentGame
+ * @property {import('../types.js').SudokuGrid} grid
+ * @property {import('../types.js').CurrentGameMeta | null} meta
+ */
+
+/**
+ * @typedef {Object} Backup
+ * @property {typeof BACKUP_FORMAT} format
+ * @property {number} version
+ * @property {string} exportedAt - Datum vytvoření (ISO)
+ * @property {unknown[]} games - Uložené hry (při načtení ještě nevalidované)
+ * @property {unknown[]} trash - Hry v koši (při načtení ještě nevalidované)
+ * @property {BackupCurrentGame | null} current - Rozehraná hra
+ * @property {BackupPreferences} preferences
+ */
+
+/**
+ * @typedef {'merge' | 'replace'} RestoreMode
+ */
+
+/**
+ * @typedef {Object} RestoreReport
+ * @property {string[]} imported - Názvy obnovených her
+ * @property {string[]} skipped - Přeskočené hry s důvodem
+ * @property {string[]} renamed - Hry, které dostaly nové id (a název), protože jejich id už bylo obsazené
+ */
+
+/**
+ * Sestaví zálohu
+ * @param {Object} data
+ * @param {import('../types.js').SavedGame[]} data.games
+ * @param {import('../types.js').SavedGame[]} data.trash
+ * @param {BackupCurrentGame | null} data.current
+ * @param {BackupPreferences} data.preferences
+ * @returns {string} JSON zálohy
+ */
+export function createBackup({ games, trash, current, preferences }) {
+    /** @type {Backup} */
+    const backup = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        games,
+        trash,
+        current,
+        preferences
+    };
+    return JSON.stringify(backup, null, 2);
+}
+
+/**
+ * Načte zálohu ze souboru
+ * Hry se validují až při obnovení (po jedné), nastavení a rozehraná hra hned - neplatné se vynechají.
+ * @param {string} text
+ * @returns {Backup}
+ * @throws {Error} Pokud text není záloha nebo je z novější verze aplikace
+ */
+export function parseBackup(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('Soubor není platný JSON.');
+    }
+    if (typeof data !== 'object' || data === null || data.format !== BACKUP_FORMAT) {
+        throw new Error('Soubor není záloha sudoku.');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error('Záloha má neplatnou verzi.');
+    }
+    if (data.version > BACKUP_VERSION) {
+        throw new Error('Záloha je z novější verze aplikace, aktualizujte stránku.');
+    }
+    if (!Array.isArray(data.games) || !Array.isArray(data.trash)) {
+        throw new Error('Záloha neobsahuje seznam her.');
+    }
+
+    const current = data.current && isValidGrid(data.current.grid)
+        ? { grid: data.current.grid, meta: isValidCurrentMeta(data.current.meta) ? data.current.meta : null }
+        : null;
+
+    const source = typeof data.preferences === 'object' && data.preferences !== null ? data.preferences : {};
+    /** @type {BackupPreferences} */
+    const preferences = {};
+    if (isValidTheme(source.theme)) preferences.theme = source.theme;
+    if (isValidCheckMode(source.checkMode)) preferences.checkMode = source.checkMode;
+    if (isValidPoolSizes(source.poolSizes)) preferences.poolSizes = source.poolSizes;
+    if (isValidProviderOrder(source.providerOrder)) preferences.providerOrder = source.providerOrder;
+
+    return {
+        format: BACKUP_FORMAT,
+        version: data.version,
+        exportedAt: typeof data.exportedAt === 'string' ? data.exportedAt : '',
+        games: data.games,
+        trash: data.trash,
+        current,
+        preferences
+    };
+}
+
+/**
+ * Název hry pro hlášení
+ * @param {unknown} game
+ * @param {number} index - Pořadí v záloze (pro hry bez názvu)
+ * @returns {string}
+ */
+function gameLabel(game, index) {
+    const name = typeof game === 'object' && game !== null ? /** @type {Record<string, unknown>} */ (game).name : null;
+    return typeof name === 'string' && name.trim() ? name.trim() : `Hra ${index + 1}`;
+}
+
+/**
+ * Spojí hry ze zálohy s uloženými hrami
+ * Neplatné hry a hry shodné s už uloženými se přeskočí. Id jsou časy uložení (Date.now()), takže se
+ * mohou shodovat i u různých her - hra s obsazeným id dostane nové id a do názvu značku "(záloha)".
+ * @param {{ games: import('../types.js').SavedGame[], trash: import('../types.js').SavedGame[] }} existing - Uložené hry
+ * @param {Backup} backup
+ * @param {RestoreMode} mode - Při nahrazení se uložené hry zahodí
+ * @returns {{ games: import('../types.js').SavedGame[], trash: import('../types.js').SavedGame[], report: RestoreReport }}
+ */
+export function mergeBackupGames(existing, backup, mode) {
+    const kept = mode === 'replace' ? { games: [], trash: [] } : existing;
+    /** @type {Map<number, import('../types.js').SavedGame>} */
+    const byId = new Map([...kept.games, ...kept.trash].map(game => [game.id, game]));
+    let nextId = Date.now();
+    for (const id of byId.keys()) nextId = Math.max(nextId, id + 1);
+
+    /** @type {RestoreReport} */
+    const report = { imported: [], skipped: [], renamed: [] };
+    const games = [...kept.games];
+    const trash = [...kept.trash];
+    let index = 0;
+
+    for (const [records, target] of [[backup.games, games], [backup.trash, trash]]) {
+        for (const record of records) {
+            const label = gameLabel(record, index++);
+            if (!isValidSavedGame(record)) {
+                report.skipped.push(`${label}: neplatná data`);
+                continue;
+            }
+
+            let game = record;
+            const stored = byId.get(record.id);
+            if (stored) {
+                if (JSON.stringify(stored) === JSON.stringify(record)) {
+                    report.skipped.push(`${label}: už je uložená`);
+                    continue;
+                }
+                const name = `${label} (záloha)`;
+                game = { ...record, id: nextId++, name };
+                report.renamed.push(`${label} → ${name}`);
+            }
+
+            byId.set(game.id, game);
+            target.push(game);
+            report.imported.push(game.name || label);
+        }
+    }
+
+    return { games, trash, report };
+}
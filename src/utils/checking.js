@@ -0,0 +1,69 @@
+/**
+ * Kontrola chyb hráče - kolize a porovnání s řešením
+ */
+
+import { findConstraintConflictCells } from './constraints.js';
+import { GRID_SIZES, getGridLayout } from './gridSize.js';
+
+/**
+ * @typedef {'strict' | 'conflicts' | 'solution' | 'off'} CheckMode
+ */
+
+/**
+ * Režimy kontroly v pořadí pro výběr
+ * @type {CheckMode[]}
+ */
+export const CHECK_MODES = ['strict', 'conflicts', 'solution', 'off'];
+
+/**
+ * Popisky režimů kontroly
+ * @type {Record<CheckMode, string>}
+ */
+export const CHECK_MODE_LABELS = {
+    strict: 'Odmítnout kolize',
+    conflicts: 'Zvýraznit kolize',
+    solution: 'Porovnávat s řešením',
+    off: 'Bez kontroly'
+};
+
+/**
+ * Validuje řešení (znaky číslic po řádcích, délka odpovídá některé velikosti mřížky)
+ * @param {unknown} value
+ * @returns {value is string}
+ */
+export function isValidSolution(value) {
+    if (typeof value !== 'string') return false;
+    const size = GRID_SIZES.find(n => n * n === value.length);
+    if (!size) return false;
+    const { symbols } = getGridLayout(size);
+    return [...value].every(symbol => symbols.includes(symbol));
+}
+
+/**
+ * Buňky, jejichž číslice se opakuje u sousedů podle pravidel (řádek, sloupec, blok a pravidla navíc),
+ * nebo porušují pravidla klece
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {import('./constraints.js').ConstraintSet | null} [constraints] - Pravidla sudoku (výchozí klasická)
+ * @returns {Set<string>} Klíče "řádek-sloupec"
+ */
+export function findConflictCells(grid, constraints) {
+    return findConstraintConflictCells(grid, constraints ?? undefined);
+}
+
+/**
+ * Buňky vyplněné hráčem, které neodpovídají řešení
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {string} solution - Řešení po řádcích (u 9x9 81 číslic)
+ * @returns {Set<string>} Klíče "řádek-sloupec"
+ */
+export function findWrongCells(grid, solution) {
+    const cells = new Set();
+    grid.forEach((row, rowIndex) => {
+        row.forEach((cell, colIndex) => {
+            if (cell.value && !cell.isStatic && cell.value !== solution[rowIndex * grid.length + colIndex]) {
+                cells.add(`${rowIndex}-${colIndex}`);
+            }
+        });
+    });
+    return cells;
+}
@@ -0,0 +1,310 @@
+/**
+ * Sada pravidel (omezení), kterou nese každé sudoku
+ * Klasická pravidla (řádek, sloupec, blok) platí vždy, k nim lze přidat varianty a klece killer sudoku
+ */
+
+import { isValidInCage, areCagesSatisfied, findCageConflictCells, VARIANT_LABELS } from './killer.js';
+import { getGridLayout, boxIndexOf, DEFAULT_GRID_SIZE, SIZE_LABELS } from './gridSize.js';
+
+/**
+ * Pravidla navíc v pořadí pro výběr
+ * @type {import('../types.js').RuleId[]}
+ */
+export const RULE_IDS = ['diagonal', 'hyper', 'antiKnight', 'antiKing'];
+
+/**
+ * Popisky pravidel
+ * @type {Record<import('../types.js').RuleId, string>}
+ */
+export const RULE_LABELS = {
+    diagonal: 'X-Sudoku',
+    hyper: 'Hyper',
+    antiKnight: 'Anti-jezdec',
+    antiKing: 'Anti-král'
+};
+
+/**
+ * Vysvětlení pravidel pro hráče
+ * @type {Record<import('../types.js').RuleId, string>}
+ */
+export const RULE_DESCRIPTIONS = {
+    diagonal: 'Číslice se neopakují ani na obou úhlopříčkách.',
+    hyper: 'Čtyři zvýrazněná okna 3x3 také obsahují číslice 1-9.',
+    antiKnight: 'Stejné číslice nesmí být od sebe vzdálené o skok šachového jezdce.',
+    antiKing: 'Stejné číslice se nesmí dotýkat ani rohem.'
+};
+
+/** @type {[number, number][]} */
+const KNIGHT_MOVES = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
+/** @type {[number, number][]} */
+const KING_MOVES = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+
+/**
+ * Levé horní rohy oken Hyper sudoku
+ * @type {[number, number][]}
+ */
+const HYPER_CORNERS = [[1, 1], [1, 5], [5, 1], [5, 5]];
+
+/**
+ * @typedef {Object} ConstraintSet
+ * @property {import('../types.js').RuleId[]} rules - Pravidla navíc (v pořadí RULE_IDS)
+ * @property {import('../types.js').Cage[] | null} cages - Klece killer sudoku
+ * @property {import('../types.js').GridSize} size - Velikost mřížky
+ * @property {import('./gridSize.js').GridLayout} layout - Rozložení mřížky na bloky a znaky číslic
+ * @property {number[][]} peers - Pro každou buňku (index řádek * size + sloupec) buňky, se kterými nesmí sdílet číslici
+ * @property {number[][]} extraPeers - Jen sousedé z pravidel navíc (bez řádku, sloupce a bloku)
+ * @property {boolean} isClassic - Žádná pravidla navíc ani klece
+ */
+
+/**
+ * Ověří, zda pravidlo dává smysl pro velikost mřížky (okna Hyper sudoku jsou jen v 9x9)
+ * @param {import('../types.js').RuleId} rule
+ * @param {number} size
+ * @returns {boolean}
+ */
+export function isRuleAvailable(rule, size) {
+    return rule !== 'hyper' || size === 9;
+}
+
+/**
+ * Skupiny buněk, ve kterých se číslice nesmí opakovat (jen pravidla navíc)
+ * @param {import('../types.js').RuleId} rule
+ * @param {number} size
+ * @returns {number[][]}
+ */
+function ruleUnits(rule, size) {
+    if (rule === 'diagonal') {
+        return [
+            Array.from({ length: size }, (_, i) => i * size + i),
+            Array.from({ length: size }, (_, i) => i * size + (size - 1 - i))
+        ];
+    }
+    if (rule === 'hyper') {
+        return HYPER_CORNERS.map(([top, left]) =>
+            Array.from({ length: 9 }, (_, i) => (top + Math.floor(i / 3)) * 9 + left + (i % 3))
+        );
+    }
+    return [];
+}
+
+/**
+ * Sousedé buňky podle šachových tahů (anti-jezdec, anti-král)
+ * @param {import('../types.js').RuleId} rule
+ * @param {number} row
+ * @param {number} col
+ * @param {number} size
+ * @returns {number[]}
+ */
+function ruleMoves(rule, row, col, size) {
+    const moves = rule === 'antiKnight' ? KNIGHT_MOVES : rule === 'antiKing' ? KING_MOVES : [];
+    return moves
+        .map(([dr, dc]) => [row + dr, col + dc])
+        .filter(([r, c]) => r >= 0 && r < size && c >= 0 && c < size)
+        .map(([r, c]) => r * size + c);
+}
+
+/**
+ * Sestaví sousedy všech buněk pro daná pravidla
+ * @param {import('../types.js').RuleId[]} rules
+ * @param {import('./gridSize.js').GridLayout} layout
+ * @returns {{ peers: number[][], extraPeers: number[][] }}
+ */
+function buildPeers(rules, layout) {
+    const { size, cellCount } = layout;
+    /** @type {Set<number>[]} */
+    const classic = Array.from({ length: cellCount }, () => new Set());
+    /** @type {Set<number>[]} */
+    const extra = Array.from({ length: cellCount }, () => new Set());
+
+    for (let index = 0; index < cellCount; index++) {
+        const row = Math.floor(index / size);
+        const col = index % size;
+        const box = boxIndexOf(layout, row, col);
+        for (let other = 0; other < cellCount; other++) {
+            const r = Math.floor(other / size);
+            const c = other % size;
+            const sameBox = boxIndexOf(layout, r, c) === box;
+            if (other !== index && (r === row || c === col || sameBox)) classic[index].add(other);
+        }
+    }
+
+    for (const rule of rules) {
+        for (const unit of ruleUnits(rule, size)) {
+            for (const a of unit) {
+                for (const b of unit) {
+                    if (a !== b && !classic[a].has(b)) extra[a].add(b);
+                }
+            }
+        }
+        for (let index = 0; index < cellCount; index++) {
+            for (const other of ruleMoves(rule, Math.floor(index / size), index % size, size)) {
+                if (!classic[index].has(other)) extra[index].add(other);
+            }
+        }
+    }
+
+    return {
+        peers: classic.map((set, index) => [...set, ...extra[index]].sort((a, b) => a - b)),
+        extraPeers: extra.map(set => [...set].sort((a, b) => a - b))
+    };
+}
+
+/** @type {Map<string, ConstraintSet>} */
+const ruleCache = new Map();
+/** @type {WeakMap<import('../types.js').Cage[], Map<string, ConstraintSet>>} */
+const cageCache = new WeakMap();
+
+/**
+ * Vrátí sadu pravidel pro sudoku (pro stejná pravidla, klece a velikost vždy stejný objekt)
+ * @param {readonly string[] | null} [rules] - Pravidla navíc, neznámá a pro velikost nedostupná se ignorují
+ * @param {import('../types.js').Cage[] | null} [cages] - Klece killer sudoku (jen 9x9)
+ * @param {number} [size=9] - Velikost mřížky
+ * @returns {ConstraintSet}
+ */
+export function getConstraintSet(rules = [], cages = null, size = DEFAULT_GRID_SIZE) {
+    const normalized = RULE_IDS.filter(rule => rules?.includes(rule) && isRuleAvailable(rule, size));
+    const key = `${size}:${normalized.join(',')}`;
+
+    let base = ruleCache.get(key);
+    if (!base) {
+        const layout = getGridLayout(size);
+        base = Object.freeze({
+            rules: normalized,
+            cages: null,
+            size: layout.size,
+            layout,
+            ...buildPeers(normalized, layout),
+            isClassic: normalized.length === 0
+        });
+        ruleCache.set(key, base);
+    }
+    if (!cages?.length) return base;
+
+    let byRules = cageCache.get(cages);
+    if (!byRules) {
+        byRules = new Map();
+        cageCache.set(cages, byRules);
+    }
+    let set = byRules.get(key);
+    if (!set) {
+        set = Object.freeze({ ...base, cages, isClassic: false });
+        byRules.set(key, set);
+    }
+    return set;
+}
+
+/**
+ * Klasické sudoku 9x9 bez pravidel navíc
+ */
+export const CLASSIC_CONSTRAINTS = getConstraintSet();
+
+/**
+ * Klasická pravidla pro velikost gridu
+ * @param {import('../types.js').SudokuGrid} grid
+ * @returns {ConstraintSet}
+ */
+export function classicConstraintsFor(grid) {
+    return grid.length === DEFAULT_GRID_SIZE ? CLASSIC_CONSTRAINTS : getConstraintSet([], null, grid.length);
+}
+
+/**
+ * Ověří, zda lze číslici zapsat do buňky (vlastní hodnota buňky se nepočítá)
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {number} row
+ * @param {number} col
+ * @param {string} value
+ * @param {ConstraintSet} [constraints] - Výchozí klasická pravidla pro velikost gridu
+ * @returns {boolean}
+ */
+export function canPlace(grid, row, col, value, constraints = classicConstraintsFor(grid)) {
+    if (!value) return true;
+
+    const { size } = constraints;
+    for (const peer of constraints.peers[row * size + col]) {
+        if (grid[Math.floor(peer / size)][peer % size].value === value) return false;
+    }
+    return isValidInCage(grid, row, col, value, constraints.cages);
+}
+
+/**
+ * Ověří, že vyplněný grid splňuje všechna pravidla
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {ConstraintSet} [constraints] - Výchozí klasická pravidla pro velikost gridu
+ * @returns {boolean}
+ */
+export function satisfiesConstraints(grid, constraints = classicConstraintsFor(grid)) {
+    const { size, layout } = constraints;
+    if (grid.length !== size) return false;
+
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            const value = grid[row][col].value;
+            if (!layout.symbols.includes(value)) return false;
+            for (const peer of constraints.peers[row * size + col]) {
+                if (grid[Math.floor(peer / size)][peer % size].value === value) return false;
+            }
+        }
+    }
+    return areCagesSatisfied(grid, constraints.cages);
+}
+
+/**
+ * Buňky porušující některé pravidlo (stejná číslice u sousedů, porušená klec)
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {ConstraintSet} [constraints] - Výchozí klasická pravidla pro velikost gridu
+ * @returns {Set<string>} Klíče "řádek-sloupec"
+ */
+export function findConstraintConflictCells(grid, constraints = classicConstraintsFor(grid)) {
+    const cells = findCageConflictCells(grid, constraints.cages);
+    const { size } = constraints;
+
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            const value = grid[row][col].value;
+            if (!value) continue;
+            const clashes = constraints.peers[row * size + col].some(peer =>
+                grid[Math.floor(peer / size)][peer % size].value === value
+            );
+            if (clashes) cells.add(`${row}-${col}`);
+        }
+    }
+    return cells;
+}
+
+/**
+ * Buňky na úhlopříčkách X-Sudoku
+ * @param {number} row
+ * @param {number} col
+ * @param {number} [size=9]
+ * @returns {{ main: boolean, anti: boolean }}
+ */
+export function diagonalsOf(row, col, size = DEFAULT_GRID_SIZE) {
+    return { main: row === col, anti: row + col === size - 1 };
+}
+
+/**
+ * Číslo okna Hyper sudoku, ve kterém buňka leží
+ * @param {number} row
+ * @param {number} col
+ * @returns {number | null} 1-4, nebo null mimo okna
+ */
+export function hyperWindowOf(row, col) {
+    const index = HYPER_CORNERS.findIndex(([top, left]) =>
+        row >= top && row < top + 3 && col >= left && col < left + 3
+    );
+    return index < 0 ? null : index + 1;
+}
+
+/**
+ * Popis varianty pro zobrazení ("Killer, X-Sudoku", "6x6")
+ * @param {readonly string[] | null | undefined} rules
+ * @param {import('../types.js').Cage[] | null | undefined} [cages]
+ * @param {number} [size=9] - Velikost mřížky, jiná než 9x9 se uvede na začátku
+ * @returns {string} Prázdný řetězec u klasického sudoku 9x9
+ */
+export function describeRules(rules, cages, size = DEFAULT_GRID_SIZE) {
+    const labels = RULE_IDS.filter(rule => rules?.includes(rule)).map(rule => RULE_LABELS[rule]);
+    if (cages?.length) labels.unshift(VARIANT_LABELS.killer);
+    if (size !== DEFAULT_GRID_SIZE) labels.unshift(SIZE_LABELS[size]);
+    return labels.join(', ');
+}
@@ -0,0 +1,83 @@
+/**
+ * Denní sudoku - zadání odvozené z data přes seedovaný lokální generátor
+ * Všichni hráči tak mají pro stejný den a obtížnost stejné sudoku, i bez serveru
+ */
+
+/**
+ * První den, pro který lze denní sudoku hrát
+ */
+export const DAILY_START_DATE = '2026-01-01';
+
+/**
+ * Názvy dní v týdnu pro kalendář (od pondělí)
+ */
+export const WEEKDAY_LABELS = ['Po', 'Út', 'St', 'Čt', 'Pá', 'So', 'Ne'];
+
+/**
+ * Názvy měsíců pro kalendář
+ */
+export const MONTH_LABELS = [
+    'Leden', 'Únor', 'Březen', 'Duben', 'Květen', 'Červen',
+    'Červenec', 'Srpen', 'Září', 'Říjen', 'Listopad', 'Prosinec'
+];
+
+/**
+ * Seed denního sudoku
+ * Změna formátu by změnila všechna denní sudoku, proto je pevný
+ * @param {string} dateKey - Den ve formátu YYYY-MM-DD
+ * @param {import('../types.js').Difficulty} difficulty
+ * @returns {string}
+ */
+export function dailySeed(dateKey, difficulty) {
+    return `denni-${dateKey}-${difficulty}`;
+}
+
+/**
+ * Klíč záznamu denního sudoku v úložišti
+ * @param {string} dateKey
+ * @param {import('../types.js').Difficulty} difficulty
+ * @returns {string}
+ */
+export function dailyRecordKey(dateKey, difficulty) {
+    return `${dateKey}:${difficulty}`;
+}
+
+/**
+ * Zda lze denní sudoku daného dne hrát (ne budoucí ani před spuštěním)
+ * @param {string} dateKey
+ * @param {string} today
+ * @returns {boolean}
+ */
+export function isPlayableDate(dateKey, today) {
+    // Klíče YYYY-MM-DD lze porovnávat jako řetězce
+    return dateKey >= DAILY_START_DATE && dateKey <= today;
+}
+
+/**
+ * Dny měsíce pro kalendář, doplněné zleva prázdnými místy do pondělí
+ * @param {number} year
+ * @param {number} month - 0-11
+ * @returns {({ dateKey: string, day: number } | null)[]}
+ */
+export function getCalendarDays(year, month) {
+    const firstWeekday = (new Date(year, month, 1).getDay() + 6) % 7;
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const monthKey = `${year}-${String(month + 1).padStart(2, '0')}`;
+
+    /** @type {({ dateKey: string, day: number } | null)[]} */
+    const days = Array(firstWeekday).fill(null);
+    for (let day = 1; day <= daysInMonth; day++) {
+        days.push({ dateKey: `${monthKey}-${String(day).padStart(2, '0')}`, day });
+    }
+    return days;
+}
+
+/**
+ * Naformátuje klíč dne pro zobrazení (19. 10. 2026)
+ * @param {string} dateKey
+ * @returns {string}
+ */
+export function formatDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return `${day}. ${month}. ${year}`;
+}
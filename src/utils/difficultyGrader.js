@@ -0,0 +1,112 @@
+/**
+ * Hodnocení obtížnosti sudoku podle technik potřebných k vyřešení
+ */
+
+import { solveLogically, TECHNIQUES } from './logicalSolver.js';
+import { getSolutionCount } from './sudokuGenerator.js';
+
+/**
+ * Obtížnosti seřazené od nejlehčí
+ * @type {import('../types.js').Difficulty[]}
+ */
+export const DIFFICULTY_ORDER = ['easy', 'medium', 'hard'];
+
+/**
+ * Ověří, že hodnota je známá obtížnost
+ * @param {unknown} value
+ * @returns {value is import('../types.js').Difficulty}
+ */
+export function isDifficulty(value) {
+    return DIFFICULTY_ORDER.some(level => level === value);
+}
+
+/**
+ * Nejvyšší úroveň techniky pro danou obtížnost
+ * Co přesahuje "medium", nebo se nedá vyřešit logikou vůbec, je "hard"
+ * @type {Record<'easy' | 'medium', number>}
+ */
+const MAX_LEVEL = {
+    easy: 1,
+    medium: 3
+};
+
+/**
+ * Body za sudoku, které nejde dořešit podporovanými technikami
+ */
+const UNSOLVED_PENALTY = 100;
+
+/**
+ * Ohodnotí grid podle nejtěžší potřebné techniky a počtu kroků
+ * Hodnotí se aktuální stav gridu včetně hodnot zapsaných hráčem
+ * @param {import('../types.js').SudokuGrid} grid
+ * @returns {import('../types.js').GridRating}
+ */
+export function gradeGrid(grid) {
+    const { solved, steps } = solveLogically(grid);
+
+    let hardest = null;
+    let score = 0;
+    for (const step of steps) {
+        const level = TECHNIQUES[step.technique].level;
+        score += level;
+        if (!hardest || level > TECHNIQUES[hardest].level) {
+            hardest = step.technique;
+        }
+    }
+
+    const maxLevel = hardest ? TECHNIQUES[hardest].level : 0;
+    /** @type {import('../types.js').Difficulty} */
+    let difficulty = 'hard';
+    if (solved && maxLevel <= MAX_LEVEL.easy) {
+        difficulty = 'easy';
+    } else if (solved && maxLevel <= MAX_LEVEL.medium) {
+        difficulty = 'medium';
+    }
+
+    return {
+        difficulty,
+        hardestTechnique: hardest,
+        solvedLogically: solved,
+        steps: steps.length,
+        score: solved ? score : score + UNSOLVED_PENALTY
+    };
+}
+
+/**
+ * Ohodnotí zadání sudoku (pouze předvyplněná políčka)
+ * @param {import('../types.js').SudokuGrid} grid
+ * @returns {import('../types.js').GridRating | null} Null pokud zadání nemá právě jedno řešení
+ */
+export function ratePuzzle(grid) {
+    const givens = grid.map(row =>
+        row.map(cell => ({ value: cell.isStatic ? cell.value : '', isStatic: cell.isStatic }))
+    );
+
+    if (!givens.some(row => row.some(cell => cell.value))) return null;
+    if (getSolutionCount(givens, 2) !== 1) return null;
+
+    return gradeGrid(givens);
+}
+
+/**
+ * Vzdálenost dvou obtížností (0 = stejná)
+ * @param {import('../types.js').Difficulty} a
+ * @param {import('../types.js').Difficulty} b
+ * @returns {number}
+ */
+export function difficultyDistance(a, b) {
+    return Math.abs(DIFFICULTY_ORDER.indexOf(a) - DIFFICULTY_ORDER.indexOf(b));
+}
+
+/**
+ * Popis hodnocení pro zobrazení
+ * @param {import('../types.js').GridRating} rating
+ * @returns {string}
+ */
+export function describeRating(rating) {
+    const technique = rating.hardestTechnique
+        ? TECHNIQUES[rating.hardestTechnique].label
+        : 'žádná';
+    const suffix = rating.solvedLogically ? '' : ', dál jen pokročilé techniky';
+    return `nejtěžší technika: ${technique}, ${rating.steps} kroků${suffix}`;
+}
@@ -0,0 +1,55 @@
+/**
+ * Práce se soubory a schránkou v prohlížeči
+ */
+
+/**
+ * Nabídne text ke stažení jako soubor
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} [mimeType='text/plain']
+ */
+export function downloadTextFile(filename, content, mimeType = 'text/plain') {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Zkopíruje text do schránky
+ * @param {string} text
+ * @returns {Promise<boolean>} True pokud se kopírování podařilo
+ */
+export async function copyToClipboard(text) {
+    try {
+        await navigator.clipboard.writeText(text);
+        return true;
+    } catch (error) {
+        console.warn('Kopírování do schránky selhalo:', error);
+        return false;
+    }
+}
+
+/**
+ * Maximální velikost načítaného textového souboru (1 MB)
+ */
+export const MAX_TEXT_FILE_SIZE = 1024 * 1024;
+
+/**
+ * Načte textový soubor vybraný uživatelem
+ * @param {File} file
+ * @param {number} [maxSize] - Maximální velikost v bajtech (výchozí MAX_TEXT_FILE_SIZE)
+ * @returns {Promise<string>}
+ * @throws {Error} Pokud je soubor příliš velký
+ */
+export async function readTextFile(file, maxSize = MAX_TEXT_FILE_SIZE) {
+    if (file.size > maxSize) {
+        throw new Error('Soubor je příliš velký.');
+    }
+    return await file.text();
+}
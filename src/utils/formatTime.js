@@ -0,0 +1,20 @@
+/**
+ * Formátování časových údajů pro zobrazení
+ */
+
+/**
+ * Naformátuje dobu trvání jako m:ss nebo h:mm:ss
+ * @param {number} ms - Doba v milisekundách
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+    if (hours > 0) {
+        return `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`;
+    }
+    return `${minutes}:${seconds}`;
+}
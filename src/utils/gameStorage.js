@@ -0,0 +1,358 @@
+/**
+ * Úložiště uložených her a koše v IndexedDB
+ * Každá hra je samostatný záznam, takže jedna poškozená hra nepřijde o ostatní - odloží se do karantény.
+ * Schéma databáze má verzi, migrace ho převádějí postupně; první migrace převezme hry z localStorage.
+ * Když IndexedDB není k dispozici, ukládá se jako dřív do localStorage (také po jednotlivých hrách validovaných).
+ * Zápisy při chybě vyhazují výjimku, aby ji aplikace mohla ukázat uživateli.
+ */
+
+import { STORAGE_KEYS } from '../types.js';
+import { isValidSavedGame, removeFromStorage } from './localStorage.js';
+import { promisify, transactionDone, isQuotaError } from './indexedDb.js';
+
+const DB_NAME = 'sudoku_games';
+const GAME_STORE = 'games';
+const TRASH_STORE = 'trash';
+const QUARANTINE_STORE = 'quarantine';
+
+/**
+ * @typedef {'games' | 'trash'} GameListName
+ */
+
+/**
+ * Záznam, který neprošel validací - neodstraňuje se, aby šel případně zachránit
+ * @typedef {Object} QuarantinedRecord
+ * @property {GameListName} source - Odkud záznam pochází
+ * @property {string} reason - Proč byl odložen
+ * @property {unknown} data - Původní data (u nečitelného JSON text)
+ * @property {number} quarantinedAt
+ */
+
+/**
+ * @typedef {Object} StoredGames
+ * @property {import('../types.js').SavedGame[]} games
+ * @property {import('../types.js').SavedGame[]} trash
+ * @property {number} quarantined - Kolik záznamů se při načtení odložilo do karantény
+ */
+
+/**
+ * Migrace schématu v pořadí verzí, verze databáze je jejich počet
+ * Migrace běží v upgrade transakci - když selže, databáze zůstane ve staré verzi a data v localStorage.
+ * @type {((db: IDBDatabase, transaction: IDBTransaction) => void)[]}
+ */
+const MIGRATIONS = [
+    // 1: hry a koš po záznamech, karanténa a převzetí dat z localStorage
+    (db, transaction) => {
+        db.createObjectStore(GAME_STORE, { keyPath: 'id' });
+        db.createObjectStore(TRASH_STORE, { keyPath: 'id' });
+        db.createObjectStore(QUARANTINE_STORE, { autoIncrement: true });
+
+        const quarantine = transaction.objectStore(QUARANTINE_STORE);
+        for (const [source, key] of /** @type {[GameListName, string][]} */ ([['games', STORAGE_KEYS.GAMES], ['trash', STORAGE_KEYS.TRASH]])) {
+            const { valid, invalid } = readLegacyList(key, source);
+            valid.forEach(game => transaction.objectStore(source === 'games' ? GAME_STORE : TRASH_STORE).put(game));
+            invalid.forEach(record => quarantine.add(record));
+        }
+    }
+];
+
+const DB_VERSION = MIGRATIONS.length;
+
+/** @type {Promise<IDBDatabase | null> | null} */
+let dbPromise = null;
+
+/**
+ * Načte seznam her z localStorage a rozdělí ho na platné hry a záznamy do karantény
+ * @param {string} key
+ * @param {GameListName} source
+ * @returns {{ valid: import('../types.js').SavedGame[], invalid: QuarantinedRecord[] }}
+ */
+function readLegacyList(key, source) {
+    /** @type {import('../types.js').SavedGame[]} */
+    const valid = [];
+    /** @type {QuarantinedRecord[]} */
+    const invalid = [];
+
+    let raw = null;
+    try {
+        raw = localStorage.getItem(key);
+    } catch {
+        // localStorage může být nedostupný
+    }
+    if (raw === null) return { valid, invalid };
+
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch {
+        invalid.push({ source, reason: 'Nečitelný JSON', data: raw, quarantinedAt: Date.now() });
+        return { valid, invalid };
+    }
+    if (!Array.isArray(data)) {
+        invalid.push({ source, reason: 'Data nejsou seznam her', data, quarantinedAt: Date.now() });
+        return { valid, invalid };
+    }
+
+    for (const game of data) {
+        if (isValidSavedGame(game)) {
+            valid.push(game);
+        } else {
+            invalid.push({ source, reason: 'Neplatná hra', data: game, quarantinedAt: Date.now() });
+        }
+    }
+    return { valid, invalid };
+}
+
+/**
+ * Otevře databázi her (jednou za běh), případně provede migrace
+ * @returns {Promise<IDBDatabase | null>} Null pokud IndexedDB není k dispozici
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve) => {
+        let migratedLegacy = false;
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+        try {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                const transaction = /** @type {IDBTransaction} */ (request.transaction);
+                for (let version = event.oldVersion; version < DB_VERSION; version++) {
+                    MIGRATIONS[version](request.result, transaction);
+                }
+                migratedLegacy = event.oldVersion === 0;
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Novější verze aplikace v jiném panelu potřebuje databázi převést
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                // Data z localStorage jsou převzatá, ponecháváme je jen do úspěšné migrace
+                if (migratedLegacy) {
+                    removeFromStorage(STORAGE_KEYS.GAMES);
+                    removeFromStorage(STORAGE_KEYS.TRASH);
+                }
+                resolve(db);
+            };
+            request.onerror = () => {
+                console.warn('[gameStorage] IndexedDB nelze otevřít, hry se ukládají do localStorage:', request.error);
+                resolve(null);
+            };
+        } catch (error) {
+            console.warn('[gameStorage] IndexedDB není k dispozici, hry se ukládají do localStorage:', error);
+            resolve(null);
+        }
+    });
+    return dbPromise;
+}
+
+/**
+ * Načte uložené hry a koš, neplatné záznamy přesune do karantény
+ * @returns {Promise<StoredGames>}
+ */
+export async function loadStoredGames() {
+    const db = await openDatabase();
+    if (!db) return loadLocalGames();
+
+    const transaction = db.transaction([GAME_STORE, TRASH_STORE, QUARANTINE_STORE], 'readwrite');
+    const quarantine = transaction.objectStore(QUARANTINE_STORE);
+    let quarantined = 0;
+
+    /**
+     * @param {GameListName} source
+     * @returns {Promise<import('../types.js').SavedGame[]>}
+     */
+    const readStore = async (source) => {
+        const store = transaction.objectStore(source === 'games' ? GAME_STORE : TRASH_STORE);
+        // Klíče i záznamy jsou ve stejném pořadí, neplatný záznam nemusí mít ani platné id
+        const keys = await promisify(store.getAllKeys());
+        const records = await promisify(store.getAll());
+        return records.filter((record, i) => {
+            if (isValidSavedGame(record)) return true;
+            quarantine.add({ source, reason: 'Neplatná hra', data: record, quarantinedAt: Date.now() });
+            store.delete(keys[i]);
+            quarantined++;
+            return false;
+        });
+    };
+
+    const games = await readStore('games');
+    const trash = await readStore('trash');
+    await transactionDone(transaction);
+    return { games, trash, quarantined };
+}
+
+/**
+ * Uloží hru (novou i upravenou)
+ * @param {import('../types.js').SavedGame} game
+ * @returns {Promise<void>}
+ * @throws {Error} Pokud se zápis nepodaří (např. plné úložiště)
+ */
+export async function putGame(game) {
+    const db = await openDatabase();
+    if (!db) {
+        updateLocalList(STORAGE_KEYS.GAMES, games => [...games.filter(g => g.id !== game.id), game]);
+        return;
+    }
+
+    const transaction = db.transaction(GAME_STORE, 'readwrite');
+    transaction.objectStore(GAME_STORE).put(toPlainRecord(game));
+    await transactionDone(transaction);
+}
+
+/**
+ * Přesune hru do koše (v jedné transakci, hra se neztratí ani nezdvojí)
+ * @param {import('../types.js').SavedGame} game - Hra včetně deletedAt
+ * @returns {Promise<void>}
+ * @throws {Error} Pokud se zápis nepodaří
+ */
+export async function moveGameToTrash(game) {
+    await moveGame(game, GAME_STORE, TRASH_STORE);
+}
+
+/**
+ * Vrátí hru z koše mezi uložené hry
+ * @param {import('../types.js').SavedGame} game - Hra bez deletedAt
+ * @returns {Promise<void>}
+ * @throws {Error} Pokud se zápis nepodaří
+ */
+export async function restoreGameFromTrash(game) {
+    await moveGame(game, TRASH_STORE, GAME_STORE);
+}
+
+/**
+ * Trvale smaže hry z koše
+ * @param {number[]} ids
+ * @returns {Promise<void>}
+ * @throws {Error} Pokud se zápis nepodaří
+ */
+export async function deleteFromTrash(ids) {
+    const db = await openDatabase();
+    if (!db) {
+        updateLocalList(STORAGE_KEYS.TRASH, trash => trash.filter(game => !ids.includes(game.id)));
+        return;
+    }
+
+    const transaction = db.transaction(TRASH_STORE, 'readwrite');
+    ids.forEach(id => transaction.objectStore(TRASH_STORE).delete(id));
+    await transactionDone(transaction);
+}
+
+/**
+ * Nahradí všechny uložené hry a koš (v jedné transakci, při chybě zůstane původní stav)
+ * @param {import('../types.js').SavedGame[]} games
+ * @param {import('../types.js').SavedGame[]} trash
+ * @returns {Promise<void>}
+ * @throws {Error} Pokud se zápis nepodaří
+ */
+export async function replaceStoredGames(games, trash) {
+    const db = await openDatabase();
+    if (!db) {
+        const previousGames = localStorage.getItem(STORAGE_KEYS.GAMES);
+        localStorage.setItem(STORAGE_KEYS.GAMES, JSON.stringify(games));
+        try {
+            localStorage.setItem(STORAGE_KEYS.TRASH, JSON.stringify(trash));
+        } catch (error) {
+            // Hry a koš se mají změnit spolu
+            if (previousGames === null) localStorage.removeItem(STORAGE_KEYS.GAMES);
+            else localStorage.setItem(STORAGE_KEYS.GAMES, previousGames);
+            throw error;
+        }
+        return;
+    }
+
+    const transaction = db.transaction([GAME_STORE, TRASH_STORE], 'readwrite');
+    const gameStore = transaction.objectStore(GAME_STORE);
+    const trashStore = transaction.objectStore(TRASH_STORE);
+    gameStore.clear();
+    trashStore.clear();
+    games.forEach(game => gameStore.put(toPlainRecord(game)));
+    trash.forEach(game => trashStore.put(toPlainRecord(game)));
+    await transactionDone(transaction);
+}
+
+/**
+ * Přesune hru mezi seznamy
+ * @param {import('../types.js').SavedGame} game
+ * @param {string} from
+ * @param {string} to
+ * @returns {Promise<void>}
+ */
+async function moveGame(game, from, to) {
+    const db = await openDatabase();
+    if (!db) {
+        const fromKey = from === GAME_STORE ? STORAGE_KEYS.GAMES : STORAGE_KEYS.TRASH;
+        const toKey = to === GAME_STORE ? STORAGE_KEYS.GAMES : STORAGE_KEYS.TRASH;
+        // Nejdřív zápis do cílového seznamu - při chybě hra zůstane tam, kde byla
+        updateLocalList(toKey, games => [...games.filter(g => g.id !== game.id), game]);
+        updateLocalList(fromKey, games => games.filter(g => g.id !== game.id));
+        return;
+    }
+
+    const transaction = db.transaction([from, to], 'readwrite');
+    transaction.objectStore(from).delete(game.id);
+    transaction.objectStore(to).put(toPlainRecord(game));
+    await transactionDone(transaction);
+}
+
+/**
+ * Prostá kopie hry pro IndexedDB - reaktivní proxy z Vue structured clone neumí
+ * Hry jsou čistá JSON data, stejně jako v localStorage
+ * @param {import('../types.js').SavedGame} game
+ * @returns {import('../types.js').SavedGame}
+ */
+function toPlainRecord(game) {
+    return JSON.parse(JSON.stringify(game));
+}
+
+/**
+ * Načte hry z localStorage (bez IndexedDB), neplatné hry odloží pod vlastní klíč
+ * @returns {StoredGames}
+ */
+function loadLocalGames() {
+    const games = readLegacyList(STORAGE_KEYS.GAMES, 'games');
+    const trash = readLegacyList(STORAGE_KEYS.TRASH, 'trash');
+    const invalid = [...games.invalid, ...trash.invalid];
+
+    if (invalid.length) {
+        try {
+            const raw = localStorage.getItem(STORAGE_KEYS.QUARANTINE);
+            const quarantine = raw ? JSON.parse(raw) : [];
+            localStorage.setItem(STORAGE_KEYS.QUARANTINE, JSON.stringify([...(Array.isArray(quarantine) ? quarantine : []), ...invalid]));
+            localStorage.setItem(STORAGE_KEYS.GAMES, JSON.stringify(games.valid));
+            localStorage.setItem(STORAGE_KEYS.TRASH, JSON.stringify(trash.valid));
+        } catch (error) {
+            // Bez zápisu do karantény necháme původní data beze změny
+            console.error('[gameStorage] Neplatné hry se nepodařilo odložit:', error);
+        }
+    }
+    return { games: games.valid, trash: trash.valid, quarantined: invalid.length };
+}
+
+/**
+ * Upraví seznam her v localStorage
+ * @param {string} key
+ * @param {(games: import('../types.js').SavedGame[]) => import('../types.js').SavedGame[]} update
+ * @throws {Error} Pokud se zápis nepodaří
+ */
+function updateLocalList(key, update) {
+    const { valid } = readLegacyList(key, 'games');
+    localStorage.setItem(key, JSON.stringify(update(valid)));
+}
+
+/**
+ * Popis chyby zápisu pro uživatele
+ * @param {unknown} error
+ * @returns {string}
+ */
+export function describeStorageError(error) {
+    if (isQuotaError(error)) {
+        return 'Úložiště prohlížeče je plné, změna se neuložila. Smažte staré hry nebo vysypte koš.';
+    }
+    return `Změnu se nepodařilo uložit: ${error instanceof Error ? error.message : error}`;
+}
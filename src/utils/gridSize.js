@@ -0,0 +1,126 @@
+/**
+ * Velikosti mřížky sudoku a jejich rozložení na bloky
+ * 4x4 má bloky 2x2, 6x6 bloky 2x3 (2 řádky, 3 sloupce), 9x9 bloky 3x3 a 16x16 bloky 4x4
+ * Číslice jsou 1-9, u 16x16 navíc písmena A-G
+ */
+
+import { DIFFICULTY_MAP } from '../types.js';
+
+/**
+ * Podporované velikosti od nejmenší
+ * @type {import('../types.js').GridSize[]}
+ */
+export const GRID_SIZES = [4, 6, 9, 16];
+
+/**
+ * Výchozí velikost mřížky
+ * @type {import('../types.js').GridSize}
+ */
+export const DEFAULT_GRID_SIZE = 9;
+
+/**
+ * Popisky velikostí
+ * @type {Record<import('../types.js').GridSize, string>}
+ */
+export const SIZE_LABELS = {
+    4: '4x4',
+    6: '6x6',
+    9: '9x9',
+    16: '16x16'
+};
+
+/**
+ * Rozměry bloku [řádky, sloupce] pro každou velikost
+ * @type {Record<import('../types.js').GridSize, [number, number]>}
+ */
+const BOX_SHAPES = {
+    4: [2, 2],
+    6: [2, 3],
+    9: [3, 3],
+    16: [4, 4]
+};
+
+/**
+ * Znaky číslic v pořadí hodnot
+ */
+const SYMBOLS = '123456789ABCDEFG';
+
+/**
+ * @typedef {Object} GridLayout
+ * @property {import('../types.js').GridSize} size - Počet řádků (a sloupců i číslic)
+ * @property {number} boxRows - Počet řádků bloku
+ * @property {number} boxCols - Počet sloupců bloku
+ * @property {number} cellCount - Počet buněk mřížky
+ * @property {string[]} symbols - Znaky číslic v pořadí hodnot 1..size
+ */
+
+/** @type {Map<number, GridLayout>} */
+const layouts = new Map();
+
+/**
+ * Vrátí rozložení mřížky dané velikosti (pro stejnou velikost vždy stejný objekt)
+ * @param {number} [size=9]
+ * @returns {GridLayout}
+ * @throws {Error} Pokud velikost není podporovaná
+ */
+export function getGridLayout(size = DEFAULT_GRID_SIZE) {
+    let layout = layouts.get(size);
+    if (layout) return layout;
+
+    if (!isValidGridSize(size)) {
+        throw new Error(`Nepodporovaná velikost mřížky: ${size}.`);
+    }
+    const [boxRows, boxCols] = BOX_SHAPES[size];
+    layout = Object.freeze({
+        size,
+        boxRows,
+        boxCols,
+        cellCount: size * size,
+        symbols: Object.freeze([...SYMBOLS.slice(0, size)])
+    });
+    layouts.set(size, layout);
+    return layout;
+}
+
+/**
+ * Validuje velikost mřížky
+ * @param {unknown} value
+ * @returns {value is import('../types.js').GridSize}
+ */
+export function isValidGridSize(value) {
+    return GRID_SIZES.some(size => size === value);
+}
+
+/**
+ * Index bloku, ve kterém buňka leží (bloky číslované po řádcích od 0)
+ * @param {GridLayout} layout
+ * @param {number} row
+ * @param {number} col
+ * @returns {number}
+ */
+export function boxIndexOf(layout, row, col) {
+    const boxesPerRow = layout.size / layout.boxCols;
+    return Math.floor(row / layout.boxRows) * boxesPerRow + Math.floor(col / layout.boxCols);
+}
+
+/**
+ * Minimální počet předvyplněných políček u 16x16
+ * Přepočet z 9x9 by dával zadání, u kterých ověření jednoznačnosti trvá až desítky sekund
+ * @type {Record<import('../types.js').Difficulty, number>}
+ */
+const LARGE_GRID_MIN_FILLED = {
+    easy: 120,
+    medium: 110,
+    hard: 100
+};
+
+/**
+ * Minimální počet předvyplněných políček pro obtížnost, přepočtený z 9x9 podle počtu buněk
+ * @param {import('../types.js').Difficulty} difficulty
+ * @param {number} [size=9]
+ * @returns {number}
+ */
+export function getMinFilled(difficulty, size = DEFAULT_GRID_SIZE) {
+    if (size === 16) return LARGE_GRID_MIN_FILLED[difficulty];
+    return Math.round(DIFFICULTY_MAP[difficulty] * size * size / 81);
+}
@@ -0,0 +1,39 @@
+/**
+ * Pomocné funkce pro práci s IndexedDB přes promise
+ */
+
+/**
+ * Převede IDBRequest na promise
+ * @template T
+ * @param {IDBRequest<T>} request
+ * @returns {Promise<T>}
+ */
+export function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Počká na dokončení transakce
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+export function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Ověří, zda chyba znamená plné úložiště (IndexedDB i localStorage)
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+export function isQuotaError(error) {
+    return error instanceof DOMException &&
+        (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
@@ -0,0 +1,275 @@
+/**
+ * Killer sudoku - klece se součtem
+ * Klec je skupina sousedních buněk, jejichž číslice dávají cílový součet
+ * a (standardně) se v ní číslice neopakují
+ */
+
+import { shuffle } from './shuffle.js';
+
+/**
+ * Varianty sudoku
+ * @type {Record<import('../types.js').SudokuVariant, string>}
+ */
+export const VARIANT_LABELS = {
+    classic: 'Klasické',
+    killer: 'Killer'
+};
+
+/**
+ * Velikosti klecí při generování (častější hodnoty jsou v seznamu vícekrát)
+ */
+const CAGE_SIZES = [2, 2, 2, 3, 3, 3, 4];
+
+/**
+ * Maximální velikost klece při slučování osamocených buněk
+ */
+const MAX_CAGE_SIZE = 4;
+
+/** @type {WeakMap<import('../types.js').Cage[], Int16Array>} */
+const lookupCache = new WeakMap();
+
+/**
+ * Index klece pro každou buňku (-1 = bez klece), cachovaný pro daný seznam klecí
+ * @param {import('../types.js').Cage[]} cages
+ * @returns {Int16Array} 81 položek
+ */
+export function getCageLookup(cages) {
+    let lookup = lookupCache.get(cages);
+    if (!lookup) {
+        lookup = new Int16Array(81).fill(-1);
+        cages.forEach((cage, index) => {
+            for (const { row, col } of cage.cells) {
+                lookup[row * 9 + col] = index;
+            }
+        });
+        lookupCache.set(cages, lookup);
+    }
+    return lookup;
+}
+
+/**
+ * Ověří, zda lze číslici zapsat z pohledu klece (opakování a dosažitelnost součtu)
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {number} row
+ * @param {number} col
+ * @param {string} value
+ * @param {import('../types.js').Cage[] | null | undefined} cages
+ * @returns {boolean}
+ */
+export function isValidInCage(grid, row, col, value, cages) {
+    if (!cages?.length) return true;
+
+    const index = getCageLookup(cages)[row * 9 + col];
+    if (index < 0) return true;
+
+    const cage = cages[index];
+    const unique = cage.unique !== false;
+    let sum = Number(value);
+    let emptyCount = 0;
+    let usedMask = 1 << sum;
+
+    for (const cell of cage.cells) {
+        if (cell.row === row && cell.col === col) continue;
+        const cellValue = grid[cell.row][cell.col].value;
+        if (!cellValue) {
+            emptyCount++;
+            continue;
+        }
+        if (unique && cellValue === value) return false;
+        sum += Number(cellValue);
+        usedMask |= 1 << Number(cellValue);
+    }
+
+    if (sum > cage.sum) return false;
+    if (emptyCount === 0) return sum === cage.sum;
+
+    const remaining = cage.sum - sum;
+    if (!unique) {
+        return remaining >= emptyCount && remaining <= emptyCount * 9;
+    }
+
+    // Nejmenší a největší součet zbývajících buněk z nepoužitých číslic
+    let min = 0;
+    let max = 0;
+    for (let digit = 1, taken = 0; digit <= 9 && taken < emptyCount; digit++) {
+        if (usedMask & (1 << digit)) continue;
+        min += digit;
+        taken++;
+    }
+    for (let digit = 9, taken = 0; digit >= 1 && taken < emptyCount; digit--) {
+        if (usedMask & (1 << digit)) continue;
+        max += digit;
+        taken++;
+    }
+    return remaining >= min && remaining <= max;
+}
+
+/**
+ * Ověří, že vyplněný grid splňuje všechny klece
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {import('../types.js').Cage[] | null | undefined} cages
+ * @returns {boolean}
+ */
+export function areCagesSatisfied(grid, cages) {
+    if (!cages?.length) return true;
+
+    return cages.every(cage => {
+        const values = cage.cells.map(({ row, col }) => grid[row][col].value);
+        if (values.some(value => !value)) return false;
+        if (cage.unique !== false && new Set(values).size !== values.length) return false;
+        return values.reduce((total, value) => total + Number(value), 0) === cage.sum;
+    });
+}
+
+/**
+ * Buňky porušující pravidla klecí (opakovaná číslice, překročený nebo nesplněný součet)
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {import('../types.js').Cage[] | null | undefined} cages
+ * @returns {Set<string>} Klíče "řádek-sloupec"
+ */
+export function findCageConflictCells(grid, cages) {
+    const cells = new Set();
+    if (!cages?.length) return cells;
+
+    for (const cage of cages) {
+        const filled = cage.cells.filter(({ row, col }) => grid[row][col].value);
+        const sum = filled.reduce((total, { row, col }) => total + Number(grid[row][col].value), 0);
+        const isFull = filled.length === cage.cells.length;
+
+        if (sum > cage.sum || (isFull && sum !== cage.sum)) {
+            filled.forEach(({ row, col }) => cells.add(`${row}-${col}`));
+            continue;
+        }
+
+        if (cage.unique !== false) {
+            for (const a of filled) {
+                const value = grid[a.row][a.col].value;
+                if (filled.some(b => b !== a && grid[b.row][b.col].value === value)) {
+                    cells.add(`${a.row}-${a.col}`);
+                }
+            }
+        }
+    }
+    return cells;
+}
+
+/**
+ * Rozdělí vyřešený grid na klece s různými číslicemi
+ * @param {import('../types.js').SudokuGrid} solved - Kompletně vyplněný grid
+ * @param {import('./random.js').RandomFn} random
+ * @returns {import('../types.js').Cage[]}
+ */
+export function createCages(solved, random) {
+    /** @type {number[]} Index klece pro každou buňku */
+    const cageOf = Array(81).fill(-1);
+    /** @type {number[][]} Buňky (indexy 0-80) každé klece */
+    const groups = [];
+
+    const digitAt = (/** @type {number} */ index) => solved[Math.floor(index / 9)][index % 9].value;
+    const neighbours = (/** @type {number} */ index) => {
+        const row = Math.floor(index / 9);
+        const col = index % 9;
+        return [
+            row > 0 ? index - 9 : -1,
+            row < 8 ? index + 9 : -1,
+            col > 0 ? index - 1 : -1,
+            col < 8 ? index + 1 : -1
+        ].filter(n => n >= 0);
+    };
+
+    const order = shuffle(Array.from({ length: 81 }, (_, i) => i), random);
+    for (const start of order) {
+        if (cageOf[start] >= 0) continue;
+
+        const size = CAGE_SIZES[Math.floor(random() * CAGE_SIZES.length)];
+        const cells = [start];
+        const digits = new Set([digitAt(start)]);
+        cageOf[start] = groups.length;
+
+        while (cells.length < size) {
+            const options = [...new Set(cells.flatMap(neighbours))]
+                .filter(n => cageOf[n] < 0 && !digits.has(digitAt(n)));
+            if (options.length === 0) break;
+
+            const next = options[Math.floor(random() * options.length)];
+            cells.push(next);
+            digits.add(digitAt(next));
+            cageOf[next] = groups.length;
+        }
+        groups.push(cells);
+    }
+
+    // Osamocené buňky připojíme k sousední kleci, pokud to pravidla dovolí
+    groups.forEach((cells, index) => {
+        if (cells.length !== 1) return;
+        const [cell] = cells;
+        const targets = neighbours(cell)
+            .map(n => cageOf[n])
+            .filter(target => target !== index &&
+                groups[target].length > 1 &&
+                groups[target].length < MAX_CAGE_SIZE &&
+                !groups[target].some(other => digitAt(other) === digitAt(cell)));
+        if (targets.length === 0) return;
+
+        const target = targets[Math.floor(random() * targets.length)];
+        groups[target].push(cell);
+        cageOf[cell] = target;
+        groups[index] = [];
+    });
+
+    return groups
+        .filter(cells => cells.length > 0)
+        .map(cells => {
+            const sorted = [...cells].sort((a, b) => a - b);
+            return {
+                cells: sorted.map(index => ({ row: Math.floor(index / 9), col: index % 9 })),
+                sum: sorted.reduce((total, index) => total + Number(digitAt(index)), 0),
+                unique: true
+            };
+        });
+}
+
+/**
+ * @typedef {Object} CageOutline
+ * @property {boolean} top - Okraj klece nahoře
+ * @property {boolean} right
+ * @property {boolean} bottom
+ * @property {boolean} left
+ * @property {number | null} sum - Součet klece (jen u první buňky klece)
+ * @property {boolean} unique - Číslice se v kleci nesmí opakovat
+ */
+
+/**
+ * Spočítá okraje klecí a pozice popisků součtů pro vykreslení
+ * @param {import('../types.js').Cage[] | null | undefined} cages
+ * @returns {Map<string, CageOutline>} Klíč "řádek-sloupec"
+ */
+export function getCageOutlines(cages) {
+    /** @type {Map<string, CageOutline>} */
+    const outlines = new Map();
+    if (!cages?.length) return outlines;
+
+    const lookup = getCageLookup(cages);
+    const cageAt = (/** @type {number} */ row, /** @type {number} */ col) =>
+        row < 0 || row > 8 || col < 0 || col > 8 ? -1 : lookup[row * 9 + col];
+
+    cages.forEach((cage, index) => {
+        // Popisek patří buňce, která je v kleci první v pořadí čtení
+        const first = cage.cells.reduce((best, cell) =>
+            cell.row * 9 + cell.col < best.row * 9 + best.col ? cell : best
+        );
+
+        for (const { row, col } of cage.cells) {
+            outlines.set(`${row}-${col}`, {
+                top: cageAt(row - 1, col) !== index,
+                right: cageAt(row, col + 1) !== index,
+                bottom: cageAt(row + 1, col) !== index,
+                left: cageAt(row, col - 1) !== index,
+                sum: first.row === row && first.col === col ? cage.sum : null,
+                unique: cage.unique !== false
+            });
+        }
+    });
+
+    return outlines;
+}
@@ -3,6 +3,13 @@
  * Řeší try/catch a validaci dat
  */
 
+import { isValidNotes } from './notes.js';
+import { CHECK_MODES, isValidSolution } from './checking.js';
+import { RULE_IDS } from './constraints.js';
+import { isValidGridSize } from './gridSize.js';
+import { PROVIDER_IDS } from './puzzleProviders.js';
+import { MAX_POOL_SIZE } from '../types.js';
+
 /**
  * Bezpečně načte a parsuje JSON z localStorage
  * @template T
@@ -73,29 +80,249 @@ export function removeFromStorage(key) {
 }
 
 /**
- * Validuje, že hodnota je pole uložených her
+ * Validuje jednu uloženou hru
+ * @param {unknown} game
+ * @returns {game is import('../types.js').SavedGame}
+ */
+export function isValidSavedGame(game) {
+    if (typeof game !== 'object' || game === null) return false;
+    const record = /** @type {Record<string, unknown>} */ (game);
+    if (typeof record.id !== 'number') return false;
+    if (record.variant !== undefined && !isValidVariant(record.variant)) return false;
+    if (record.cages !== undefined && !isValidCages(record.cages)) return false;
+    if (record.rules !== undefined && !isValidRules(record.rules)) return false;
+
+    // Ověříme strukturu gridu
+    return isValidGrid(record.grid);
+}
+
+/**
+ * Validuje, zda je objekt platný SudokuGrid (čtvercová mřížka podporované velikosti)
+ * @param {unknown} data
+ * @returns {data is import('../types.js').SudokuGrid}
+ */
+export function isValidGrid(data) {
+    if (!Array.isArray(data) || !isValidGridSize(data.length)) return false;
+    return data.every(row =>
+        Array.isArray(row) &&
+        row.length === data.length &&
+        row.every(isValidCell)
+    );
+}
+
+/**
+ * Validuje buňku gridu
+ * @param {unknown} cell
+ * @returns {cell is import('../types.js').GridCell}
+ */
+function isValidCell(cell) {
+    if (typeof cell !== 'object' || cell === null) return false;
+    if (typeof cell.value !== 'string') return false;
+    if (typeof cell.isStatic !== 'boolean') return false;
+    return isValidNotes(cell.notes);
+}
+
+/**
+ * Validuje uloženou historii undo/redo
+ * @param {unknown} data
+ * @returns {data is { past: import('../types.js').HistoryEntry[], future: import('../types.js').HistoryEntry[] }}
+ */
+export function isValidHistory(data) {
+    if (typeof data !== 'object' || data === null) return false;
+
+    const isValidEntries = (/** @type {unknown} */ entries) =>
+        Array.isArray(entries) &&
+        entries.every(entry =>
+            typeof entry === 'object' &&
+            entry !== null &&
+            typeof entry.action === 'string' &&
+            Array.isArray(entry.changes) &&
+            entry.changes.every(change =>
+                typeof change === 'object' &&
+                change !== null &&
+                Number.isInteger(change.row) &&
+                Number.isInteger(change.col) &&
+                isValidCell(change.before) &&
+                isValidCell(change.after)
+            )
+        );
+
+    return isValidEntries(data.past) && isValidEntries(data.future);
+}
+
+/**
+ * Validuje metadata aktuální hry
+ * @param {unknown} data
+ * @returns {data is import('../types.js').CurrentGameMeta}
+ */
+export function isValidCurrentMeta(data) {
+    if (typeof data !== 'object' || data === null) return false;
+    if (data.seed !== null && typeof data.seed !== 'string') return false;
+    if (data.elapsedMs !== undefined && !isNonNegativeNumber(data.elapsedMs)) return false;
+    if (data.completed !== undefined && typeof data.completed !== 'boolean') return false;
+    if (data.daily !== undefined && data.daily !== null && !isValidDailyRef(data.daily)) return false;
+    if (data.solution !== undefined && data.solution !== null && !isValidSolution(data.solution)) return false;
+    if (data.variant !== undefined && !isValidVariant(data.variant)) return false;
+    if (data.cages !== undefined && data.cages !== null && !isValidCages(data.cages)) return false;
+    if (data.rules !== undefined && !isValidRules(data.rules)) return false;
+    if (data.gameId !== undefined && data.gameId !== null && typeof data.gameId !== 'number') return false;
+    if (data.creating !== undefined && typeof data.creating !== 'boolean') return false;
+    return data.seedDifficulty === null || ['easy', 'medium', 'hard'].includes(data.seedDifficulty);
+}
+
+/**
+ * Validuje variantu sudoku
+ * @param {unknown} data
+ * @returns {data is import('../types.js').SudokuVariant}
+ */
+export function isValidVariant(data) {
+    return data === 'classic' || data === 'killer';
+}
+
+/**
+ * Validuje pravidla navíc (známá pravidla, každé nejvýš jednou)
+ * @param {unknown} data
+ * @returns {data is import('../types.js').RuleId[]}
+ */
+export function isValidRules(data) {
+    return Array.isArray(data) &&
+        data.every(rule => RULE_IDS.includes(rule)) &&
+        new Set(data).size === data.length;
+}
+
+/**
+ * Validuje klece killer sudoku (buňky v mřížce, každá nejvýš v jedné kleci)
  * @param {unknown} data
- * @returns {data is import('../types.js').SavedGame[]}
+ * @returns {data is import('../types.js').Cage[]}
  */
-export function isValidSavedGamesArray(data) {
+export function isValidCages(data) {
     if (!Array.isArray(data)) return false;
 
-    return data.every(game => {
-        if (typeof game !== 'object' || game === null) return false;
-        if (typeof game.id !== 'number') return false;
-        if (!Array.isArray(game.grid)) return false;
-        if (game.grid.length !== 9) return false;
-
-        // Ověříme strukturu gridu
-        return game.grid.every(row => {
-            if (!Array.isArray(row) || row.length !== 9) return false;
-            return row.every(cell => {
-                if (typeof cell !== 'object' || cell === null) return false;
-                if (typeof cell.value !== 'string') return false;
-                if (typeof cell.isStatic !== 'boolean') return false;
-                return true;
-            });
-        });
+    const used = new Set();
+    return data.every(cage =>
+        typeof cage === 'object' && cage !== null &&
+        Number.isInteger(cage.sum) && cage.sum > 0 &&
+        (cage.unique === undefined || typeof cage.unique === 'boolean') &&
+        Array.isArray(cage.cells) && cage.cells.length > 0 &&
+        cage.cells.every(cell => {
+            if (typeof cell !== 'object' || cell === null) return false;
+            const { row, col } = cell;
+            if (!Number.isInteger(row) || !Number.isInteger(col)) return false;
+            if (row < 0 || row > 8 || col < 0 || col > 8 || used.has(row * 9 + col)) return false;
+            used.add(row * 9 + col);
+            return true;
+        })
+    );
+}
+
+/**
+ * Validuje odkaz na denní sudoku
+ * @param {unknown} data
+ * @returns {data is import('../types.js').DailyRef}
+ */
+export function isValidDailyRef(data) {
+    if (typeof data !== 'object' || data === null) return false;
+    return isValidDateKey(data.date) &&
+        ['easy', 'medium', 'hard'].includes(data.difficulty) &&
+        typeof data.replay === 'boolean';
+}
+
+/**
+ * Validuje záznamy denních sudoku
+ * @param {unknown} data
+ * @returns {data is Record<string, import('../types.js').DailyRecord>}
+ */
+export function isValidDailyRecords(data) {
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) return false;
+
+    return Object.values(data).every(record =>
+        typeof record === 'object' && record !== null &&
+        isValidDateKey(record.date) &&
+        ['easy', 'medium', 'hard'].includes(record.difficulty) &&
+        typeof record.seed === 'string' &&
+        isValidGrid(record.grid) &&
+        isNonNegativeNumber(record.elapsedMs) &&
+        (record.completedAt === null || isNonNegativeNumber(record.completedAt)) &&
+        typeof record.autoSolved === 'boolean'
+    );
+}
+
+/**
+ * Validuje klíč dne (YYYY-MM-DD)
+ * @param {unknown} value
+ * @returns {value is string}
+ */
+function isValidDateKey(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+/**
+ * Validuje nezáporné číslo (čas, počítadlo)
+ * @param {unknown} value
+ * @returns {value is number}
+ */
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Validuje statistiky hráče
+ * @param {unknown} data
+ * @returns {data is import('../types.js').PlayerStats}
+ */
+export function isValidStats(data) {
+    if (typeof data !== 'object' || data === null) return false;
+    if (typeof data.version !== 'number') return false;
+    if (typeof data.byDifficulty !== 'object' || data.byDifficulty === null) return false;
+
+    return ['easy', 'medium', 'hard'].every(difficulty => {
+        const entry = data.byDifficulty[difficulty];
+        if (typeof entry !== 'object' || entry === null) return false;
+
+        const counters = ['started', 'solved', 'totalTimeMs', 'hintsUsed', 'autoSolves'];
+        return counters.every(key => isNonNegativeNumber(entry[key])) &&
+            (entry.bestTimeMs === null || isNonNegativeNumber(entry.bestTimeMs)) &&
+            Array.isArray(entry.solveDates) &&
+            entry.solveDates.every(isValidDateKey);
+    });
+}
+
+/**
+ * Validuje režim kontroly chyb
+ * @param {unknown} data
+ * @returns {data is import('./checking.js').CheckMode}
+ */
+export function isValidCheckMode(data) {
+    return CHECK_MODES.some(mode => mode === data);
+}
+
+/**
+ * Validuje velikosti zásobníku předgenerovaných sudoku
+ * @param {unknown} data
+ * @returns {data is Record<import('../types.js').Difficulty, number>}
+ */
+export function isValidPoolSizes(data) {
+    if (typeof data !== 'object' || data === null) return false;
+    const sizes = /** @type {Record<string, unknown>} */ (data);
+    return ['easy', 'medium', 'hard'].every(difficulty => {
+        const size = sizes[difficulty];
+        return Number.isInteger(size) && /** @type {number} */ (size) >= 0 && /** @type {number} */ (size) <= MAX_POOL_SIZE;
+    });
+}
+
+/**
+ * Validuje pořadí zdrojů sudoku pro každou obtížnost (seznam zapnutých zdrojů bez opakování)
+ * @param {unknown} data
+ * @returns {data is Record<import('../types.js').Difficulty, import('./puzzleProviders.js').ProviderId[]>}
+ */
+export function isValidProviderOrder(data) {
+    if (typeof data !== 'object' || data === null) return false;
+    const orders = /** @type {Record<string, unknown>} */ (data);
+    return ['easy', 'medium', 'hard'].every(difficulty => {
+        const order = orders[difficulty];
+        return Array.isArray(order) &&
+            order.every(id => PROVIDER_IDS.includes(id)) &&
+            new Set(order).size === order.length;
     });
 }
 
@@ -0,0 +1,556 @@
+/**
+ * Logický řešitel sudoku
+ * Hledá další krok pomocí technik, které používá člověk, a umí ho vysvětlit
+ */
+
+import { solveSudoku } from './sudokuGenerator.js';
+import { DIGITS, arePeers, getCandidates, placeValue } from './notes.js';
+
+/**
+ * @typedef {'nakedSingle' | 'hiddenSingle' | 'pointing' | 'claiming' | 'nakedPair' | 'hiddenPair' | 'nakedTriple' | 'hiddenTriple' | 'xWing' | 'swordfish' | 'xyWing'} TechniqueId
+ */
+
+/**
+ * @typedef {Object} CellRef
+ * @property {number} row
+ * @property {number} col
+ */
+
+/**
+ * @typedef {Object} SolveStep
+ * @property {TechniqueId} technique - Použitá technika
+ * @property {string} description - Vysvětlení kroku pro hráče
+ * @property {CellRef[]} cells - Buňky, které tvoří vzor
+ * @property {(CellRef & { value: string })[]} placements - Hodnoty, které lze zapsat
+ * @property {(CellRef & { digit: string })[]} eliminations - Kandidáti, které lze odebrat
+ */
+
+/**
+ * @typedef {Object} Unit
+ * @property {'row' | 'col' | 'box'} type
+ * @property {number} index
+ * @property {[number, number][]} cells
+ */
+
+/**
+ * Techniky seřazené od nejjednodušší
+ * `level` určuje náročnost techniky (1 = základní)
+ * @type {Record<TechniqueId, { label: string, level: number }>}
+ */
+export const TECHNIQUES = {
+    nakedSingle: { label: 'Jediný kandidát', level: 1 },
+    hiddenSingle: { label: 'Skrytý jediný', level: 1 },
+    pointing: { label: 'Ukazující skupina', level: 2 },
+    claiming: { label: 'Omezení na blok', level: 2 },
+    nakedPair: { label: 'Nahá dvojice', level: 3 },
+    hiddenPair: { label: 'Skrytá dvojice', level: 3 },
+    nakedTriple: { label: 'Nahá trojice', level: 3 },
+    hiddenTriple: { label: 'Skrytá trojice', level: 4 },
+    xWing: { label: 'X-Wing', level: 4 },
+    swordfish: { label: 'Swordfish', level: 5 },
+    xyWing: { label: 'XY-Wing', level: 5 }
+};
+
+/**
+ * Všechny jednotky (řádky, sloupce, bloky)
+ * @type {Unit[]}
+ */
+const UNITS = (() => {
+    /** @type {Unit[]} */
+    const units = [];
+    for (let i = 0; i < 9; i++) {
+        const row = [];
+        const col = [];
+        const box = [];
+        for (let j = 0; j < 9; j++) {
+            row.push([i, j]);
+            col.push([j, i]);
+            box.push([3 * Math.floor(i / 3) + Math.floor(j / 3), 3 * (i % 3) + (j % 3)]);
+        }
+        units.push({ type: 'row', index: i, cells: row });
+        units.push({ type: 'col', index: i, cells: col });
+        units.push({ type: 'box', index: i, cells: box });
+    }
+    return units;
+})();
+
+/**
+ * Název jednotky v 6. pádě ("v řádku 3")
+ * @param {Unit} unit
+ * @returns {string}
+ */
+function unitName(unit) {
+    const names = { row: 'řádku', col: 'sloupci', box: 'bloku' };
+    return `${names[unit.type]} ${unit.index + 1}`;
+}
+
+/**
+ * Označení buňky ve formátu R1C1
+ * @param {number} row
+ * @param {number} col
+ * @returns {string}
+ */
+export function cellName(row, col) {
+    return `R${row + 1}C${col + 1}`;
+}
+
+/**
+ * Vrátí všechny k-prvkové kombinace pole
+ * @template T
+ * @param {T[]} items
+ * @param {number} k
+ * @returns {T[][]}
+ */
+function combinations(items, k) {
+    /** @type {T[][]} */
+    const result = [];
+    const combo = [];
+    (function pick(start) {
+        if (combo.length === k) {
+            result.push([...combo]);
+            return;
+        }
+        for (let i = start; i < items.length; i++) {
+            combo.push(items[i]);
+            pick(i + 1);
+            combo.pop();
+        }
+    })(0);
+    return result;
+}
+
+/**
+ * Vytvoří stav řešitele z gridu
+ * Poznámky hráče se použijí, jen pokud neodporují řešení
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {import('../types.js').SudokuGrid | null} [solution]
+ * @returns {Set<string>[][]} Kandidáti pro každou buňku (prázdná množina u vyplněné)
+ */
+export function buildCandidates(grid, solution = null) {
+    return grid.map((r, row) =>
+        r.map((cell, col) => {
+            const computed = getCandidates(grid, row, col);
+            const notes = cell.notes || [];
+            if (!cell.value && notes.length > 0 && solution && notes.includes(solution[row][col].value)) {
+                return new Set(computed.filter(d => notes.includes(d)));
+            }
+            return new Set(computed);
+        })
+    );
+}
+
+/**
+ * Nahý jediný - buňka má jediného kandidáta
+ * @param {Set<string>[][]} cands
+ * @returns {SolveStep | null}
+ */
+function findNakedSingle(cands) {
+    for (let row = 0; row < 9; row++) {
+        for (let col = 0; col < 9; col++) {
+            if (cands[row][col].size === 1) {
+                const [value] = cands[row][col];
+                return {
+                    technique: 'nakedSingle',
+                    description: `Do buňky ${cellName(row, col)} lze zapsat jedině číslici ${value}, všechny ostatní už jsou v jejím řádku, sloupci nebo bloku.`,
+                    cells: [{ row, col }],
+                    placements: [{ row, col, value }],
+                    eliminations: []
+                };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Skrytý jediný - číslice má v jednotce jediné možné místo
+ * @param {Set<string>[][]} cands
+ * @returns {SolveStep | null}
+ */
+function findHiddenSingle(cands) {
+    for (const unit of UNITS) {
+        for (const digit of DIGITS) {
+            const places = unit.cells.filter(([r, c]) => cands[r][c].has(digit));
+            if (places.length === 1) {
+                const [row, col] = places[0];
+                return {
+                    technique: 'hiddenSingle',
+                    description: `V ${unitName(unit)} může být číslice ${digit} jedině v buňce ${cellName(row, col)}.`,
+                    cells: unit.cells.map(([r, c]) => ({ row: r, col: c })),
+                    placements: [{ row, col, value: digit }],
+                    eliminations: []
+                };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Ukazující skupina (pointing) a omezení na blok (claiming)
+ * Kandidát omezený v jedné jednotce na průnik s jinou jednotkou se odebere ze zbytku druhé jednotky
+ * @param {Set<string>[][]} cands
+ * @param {'pointing' | 'claiming'} technique
+ * @returns {SolveStep | null}
+ */
+function findIntersection(cands, technique) {
+    const sources = UNITS.filter(u => technique === 'pointing' ? u.type === 'box' : u.type !== 'box');
+
+    for (const unit of sources) {
+        for (const digit of DIGITS) {
+            const places = unit.cells.filter(([r, c]) => cands[r][c].has(digit));
+            if (places.length < 2) continue;
+
+            const targets = UNITS.filter(other =>
+                other !== unit &&
+                (technique === 'pointing' ? other.type !== 'box' : other.type === 'box') &&
+                places.every(([r, c]) => other.cells.some(([r2, c2]) => r2 === r && c2 === c))
+            );
+
+            for (const target of targets) {
+                const eliminations = target.cells
+                    .filter(([r, c]) =>
+                        cands[r][c].has(digit) &&
+                        !places.some(([r2, c2]) => r2 === r && c2 === c)
+                    )
+                    .map(([r, c]) => ({ row: r, col: c, digit }));
+
+                if (eliminations.length > 0) {
+                    return {
+                        technique,
+                        description: `V ${unitName(unit)} leží všichni kandidáti ${digit} zároveň v ${unitName(target)}, proto ${digit} nemůže být nikde jinde v ${unitName(target)}.`,
+                        cells: places.map(([r, c]) => ({ row: r, col: c })),
+                        placements: [],
+                        eliminations
+                    };
+                }
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Nahá dvojice/trojice - n buněk jednotky obsahuje dohromady jen n kandidátů
+ * @param {Set<string>[][]} cands
+ * @param {number} size
+ * @returns {SolveStep | null}
+ */
+function findNakedSubset(cands, size) {
+    const technique = size === 2 ? 'nakedPair' : 'nakedTriple';
+
+    for (const unit of UNITS) {
+        const pool = unit.cells.filter(([r, c]) => cands[r][c].size >= 2 && cands[r][c].size <= size);
+        if (pool.length < size) continue;
+
+        for (const combo of combinations(pool, size)) {
+            const digits = new Set();
+            for (const [r, c] of combo) {
+                for (const d of cands[r][c]) digits.add(d);
+            }
+            if (digits.size !== size) continue;
+
+            const eliminations = [];
+            for (const [r, c] of unit.cells) {
+                if (combo.some(([r2, c2]) => r2 === r && c2 === c)) continue;
+                for (const d of digits) {
+                    if (cands[r][c].has(d)) eliminations.push({ row: r, col: c, digit: d });
+                }
+            }
+
+            if (eliminations.length > 0) {
+                const digitList = [...digits].sort().join(', ');
+                const cellList = combo.map(([r, c]) => cellName(r, c)).join(', ');
+                return {
+                    technique,
+                    description: `Buňky ${cellList} v ${unitName(unit)} mohou obsahovat jen číslice ${digitList}. Tyto číslice proto nemohou být v ostatních buňkách ${unitName(unit)}.`,
+                    cells: combo.map(([r, c]) => ({ row: r, col: c })),
+                    placements: [],
+                    eliminations
+                };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Skrytá dvojice/trojice - n číslic se v jednotce vyskytuje jen v n buňkách
+ * @param {Set<string>[][]} cands
+ * @param {number} size
+ * @returns {SolveStep | null}
+ */
+function findHiddenSubset(cands, size) {
+    const technique = size === 2 ? 'hiddenPair' : 'hiddenTriple';
+
+    for (const unit of UNITS) {
+        /** @type {Map<string, [number, number][]>} */
+        const placesByDigit = new Map();
+        for (const digit of DIGITS) {
+            const places = unit.cells.filter(([r, c]) => cands[r][c].has(digit));
+            if (places.length >= 1 && places.length <= size) {
+                placesByDigit.set(digit, places);
+            }
+        }
+        if (placesByDigit.size < size) continue;
+
+        for (const digits of combinations([...placesByDigit.keys()], size)) {
+            /** @type {Map<string, [number, number]>} */
+            const cellsUnion = new Map();
+            for (const d of digits) {
+                for (const [r, c] of placesByDigit.get(d)) cellsUnion.set(`${r}-${c}`, [r, c]);
+            }
+            if (cellsUnion.size !== size) continue;
+
+            const eliminations = [];
+            for (const [r, c] of cellsUnion.values()) {
+                for (const d of cands[r][c]) {
+                    if (!digits.includes(d)) eliminations.push({ row: r, col: c, digit: d });
+                }
+            }
+
+            if (eliminations.length > 0) {
+                const cells = [...cellsUnion.values()];
+                return {
+                    technique,
+                    description: `Číslice ${digits.join(', ')} mohou být v ${unitName(unit)} jen v buňkách ${cells.map(([r, c]) => cellName(r, c)).join(', ')}. Ostatní kandidáty z těchto buněk lze odebrat.`,
+                    cells: cells.map(([r, c]) => ({ row: r, col: c })),
+                    placements: [],
+                    eliminations
+                };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Ryba (X-Wing, Swordfish) - číslice je v n řádcích omezena na n sloupců (nebo naopak)
+ * @param {Set<string>[][]} cands
+ * @param {number} size
+ * @returns {SolveStep | null}
+ */
+function findFish(cands, size) {
+    const technique = size === 2 ? 'xWing' : 'swordfish';
+
+    for (const digit of DIGITS) {
+        for (const baseType of /** @type {const} */ (['row', 'col'])) {
+            const coverType = baseType === 'row' ? 'col' : 'row';
+            /** @type {{ index: number, covers: number[] }[]} */
+            const bases = [];
+
+            for (let i = 0; i < 9; i++) {
+                const covers = [];
+                for (let j = 0; j < 9; j++) {
+                    const [r, c] = baseType === 'row' ? [i, j] : [j, i];
+                    if (cands[r][c].has(digit)) covers.push(j);
+                }
+                if (covers.length >= 2 && covers.length <= size) {
+                    bases.push({ index: i, covers });
+                }
+            }
+            if (bases.length < size) continue;
+
+            for (const combo of combinations(bases, size)) {
+                const coverSet = new Set(combo.flatMap(b => b.covers));
+                if (coverSet.size !== size) continue;
+
+                const baseIndexes = combo.map(b => b.index);
+                const eliminations = [];
+                for (const j of coverSet) {
+                    for (let i = 0; i < 9; i++) {
+                        if (baseIndexes.includes(i)) continue;
+                        const [r, c] = baseType === 'row' ? [i, j] : [j, i];
+                        if (cands[r][c].has(digit)) eliminations.push({ row: r, col: c, digit });
+                    }
+                }
+
+                if (eliminations.length > 0) {
+                    const cells = [];
+                    for (const base of combo) {
+                        for (const j of base.covers) {
+                            const [r, c] = baseType === 'row' ? [base.index, j] : [j, base.index];
+                            cells.push({ row: r, col: c });
+                        }
+                    }
+                    const baseLabel = baseType === 'row' ? 'v řádcích' : 've sloupcích';
+                    const coverLabel = coverType === 'row' ? 'v řádcích' : 've sloupcích';
+                    const baseList = baseIndexes.map(i => i + 1).join(', ');
+                    const coverList = [...coverSet].sort((a, b) => a - b).map(i => i + 1).join(', ');
+                    return {
+                        technique,
+                        description: `Číslice ${digit} může být ${baseLabel} ${baseList} jen ${coverLabel} ${coverList}. ${coverLabel[0].toUpperCase()}${coverLabel.slice(1)} ${coverList} proto ${digit} nemůže být nikde jinde.`,
+                        cells,
+                        placements: [],
+                        eliminations
+                    };
+                }
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * XY-Wing - pivot {x,y} vidí buňky {x,z} a {y,z}; z lze odebrat z buněk, které vidí obě křídla
+ * @param {Set<string>[][]} cands
+ * @returns {SolveStep | null}
+ */
+function findXYWing(cands) {
+    /** @type {[number, number][]} */
+    const bivalue = [];
+    for (let r = 0; r < 9; r++) {
+        for (let c = 0; c < 9; c++) {
+            if (cands[r][c].size === 2) bivalue.push([r, c]);
+        }
+    }
+
+    for (const [pr, pc] of bivalue) {
+        const [x, y] = cands[pr][pc];
+        const wings = bivalue.filter(([r, c]) => arePeers(pr, pc, r, c));
+
+        for (const [ar, ac] of wings) {
+            const a = cands[ar][ac];
+            if (!a.has(x) || a.has(y)) continue;
+            const z = [...a].find(d => d !== x);
+
+            for (const [br, bc] of wings) {
+                const b = cands[br][bc];
+                if (!b.has(y) || !b.has(z) || b.has(x)) continue;
+
+                const eliminations = [];
+                for (let r = 0; r < 9; r++) {
+                    for (let c = 0; c < 9; c++) {
+                        if ((r === pr && c === pc) || (r === ar && c === ac) || (r === br && c === bc)) continue;
+                        if (cands[r][c].has(z) && arePeers(r, c, ar, ac) && arePeers(r, c, br, bc)) {
+                            eliminations.push({ row: r, col: c, digit: z });
+                        }
+                    }
+                }
+
+                if (eliminations.length > 0) {
+                    return {
+                        technique: 'xyWing',
+                        description: `Buňka ${cellName(pr, pc)} obsahuje ${x} nebo ${y}. Ať je to kterékoli, jedna z buněk ${cellName(ar, ac)} a ${cellName(br, bc)} bude ${z}. Číslici ${z} proto lze odebrat z buněk, které vidí obě.`,
+                        cells: [{ row: pr, col: pc }, { row: ar, col: ac }, { row: br, col: bc }],
+                        placements: [],
+                        eliminations
+                    };
+                }
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Vyhledávače technik v pořadí od nejjednodušší
+ * @type {((cands: Set<string>[][]) => SolveStep | null)[]}
+ */
+const FINDERS = [
+    findNakedSingle,
+    findHiddenSingle,
+    cands => findIntersection(cands, 'pointing'),
+    cands => findIntersection(cands, 'claiming'),
+    cands => findNakedSubset(cands, 2),
+    cands => findHiddenSubset(cands, 2),
+    cands => findNakedSubset(cands, 3),
+    cands => findHiddenSubset(cands, 3),
+    cands => findFish(cands, 2),
+    findXYWing,
+    cands => findFish(cands, 3)
+];
+
+/**
+ * Najde nejjednodušší krok pro daný stav kandidátů
+ * @param {Set<string>[][]} cands
+ * @returns {SolveStep | null}
+ */
+function findStepInCandidates(cands) {
+    for (const finder of FINDERS) {
+        const step = finder(cands);
+        if (step) return step;
+    }
+    return null;
+}
+
+/**
+ * Aplikuje krok na stav kandidátů (in-place)
+ * @param {Set<string>[][]} cands
+ * @param {SolveStep} step
+ */
+function applyStepToCandidates(cands, step) {
+    for (const { row, col, value } of step.placements) {
+        cands[row][col] = new Set();
+        for (let r = 0; r < 9; r++) {
+            for (let c = 0; c < 9; c++) {
+                if (arePeers(row, col, r, c)) cands[r][c].delete(value);
+            }
+        }
+    }
+    for (const { row, col, digit } of step.eliminations) {
+        cands[row][col].delete(digit);
+    }
+}
+
+/**
+ * Najde další logický krok řešení
+ * @param {import('../types.js').SudokuGrid} grid
+ * @returns {{ step: SolveStep | null, solvable: boolean }}
+ */
+export function findNextStep(grid) {
+    const solution = solveSudoku(grid);
+    if (!solution) return { step: null, solvable: false };
+
+    return { step: findStepInCandidates(buildCandidates(grid, solution)), solvable: true };
+}
+
+/**
+ * Aplikuje krok na grid
+ * Zapíše nalezené hodnoty a odebere vyřazené kandidáty z poznámek
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {SolveStep} step
+ * @returns {import('../types.js').SudokuGrid} Nový grid
+ */
+export function applyStep(grid, step) {
+    let newGrid = grid;
+
+    for (const { row, col, value } of step.placements) {
+        newGrid = placeValue(newGrid, row, col, value);
+    }
+
+    if (step.eliminations.length > 0) {
+        const current = buildCandidates(grid, solveSudoku(grid));
+        newGrid = newGrid.map((r, i) =>
+            r.map((c, j) => {
+                const removed = step.eliminations.filter(e => e.row === i && e.col === j).map(e => e.digit);
+                if (removed.length === 0 || c.value) return c;
+                return { ...c, notes: [...current[i][j]].filter(d => !removed.includes(d)).sort() };
+            })
+        );
+    }
+
+    return newGrid;
+}
+
+/**
+ * Vyřeší sudoku pouze logickými kroky
+ * @param {import('../types.js').SudokuGrid} grid
+ * @returns {{ solved: boolean, steps: SolveStep[] }} Použité kroky a zda se podařilo sudoku dořešit
+ */
+export function solveLogically(grid) {
+    const cands = buildCandidates(grid);
+    /** @type {SolveStep[]} */
+    const steps = [];
+    let remaining = grid.flat().filter(cell => !cell.value).length;
+
+    while (remaining > 0) {
+        const step = findStepInCandidates(cands);
+        if (!step) break;
+        steps.push(step);
+        remaining -= step.placements.length;
+        applyStepToCandidates(cands, step);
+    }
+
+    return { solved: remaining === 0, steps };
+}
@@ -0,0 +1,129 @@
+/**
+ * Práce s poznámkami (kandidáty) v buňkách sudoku
+ */
+
+import { isValid } from './sudokuGenerator.js';
+import { getGridLayout, GRID_SIZES } from './gridSize.js';
+
+/**
+ * Všechny číslice, které se mohou objevit v buňce 9x9
+ * @type {string[]}
+ */
+export const DIGITS = ['1', '2', '3', '4', '5', '6', '7', '8', '9'];
+
+/**
+ * Znaky číslic největší mřížky (1-9 a A-G), obsahují číslice všech menších
+ */
+const ALL_SYMBOLS = getGridLayout(GRID_SIZES[GRID_SIZES.length - 1]).symbols;
+
+/**
+ * Ověří, zda jsou dvě buňky ve stejném řádku, sloupci nebo 3x3 bloku
+ * (s pravidly navíc také na úhlopříčce, v okně nebo na dosah jezdce či krále)
+ * @param {number} row1
+ * @param {number} col1
+ * @param {number} row2
+ * @param {number} col2
+ * @param {import('./constraints.js').ConstraintSet | null} [constraints] - Pravidla sudoku (výchozí klasická)
+ * @returns {boolean}
+ */
+export function arePeers(row1, col1, row2, col2, constraints) {
+    if (row1 === row2 && col1 === col2) return false;
+    if (constraints) {
+        const { size } = constraints;
+        return constraints.peers[row1 * size + col1].includes(row2 * size + col2);
+    }
+    if (row1 === row2 || col1 === col2) return true;
+    return Math.floor(row1 / 3) === Math.floor(row2 / 3) &&
+        Math.floor(col1 / 3) === Math.floor(col2 / 3);
+}
+
+/**
+ * Vrátí seznam kandidátů pro prázdnou buňku
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {number} row
+ * @param {number} col
+ * @param {import('./constraints.js').ConstraintSet | null} [constraints] - Pravidla sudoku (výchozí klasická)
+ * @returns {string[]}
+ */
+export function getCandidates(grid, row, col, constraints) {
+    if (grid[row][col].value) return [];
+    return getGridLayout(grid.length).symbols.filter(digit => isValid(grid, row, col, digit, constraints));
+}
+
+/**
+ * Přepne číslici v poznámkách (přidá nebo odebere)
+ * @param {string[] | undefined} notes
+ * @param {string} digit
+ * @returns {string[]} Nové seřazené pole poznámek
+ */
+export function toggleNote(notes, digit) {
+    const current = notes || [];
+    if (current.includes(digit)) {
+        return current.filter(n => n !== digit);
+    }
+    return [...current, digit].sort();
+}
+
+/**
+ * Doplní do všech prázdných buněk kompletní seznam kandidátů
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {import('./constraints.js').ConstraintSet | null} [constraints] - Pravidla sudoku (výchozí klasická)
+ * @returns {import('../types.js').SudokuGrid} Nový grid
+ */
+export function fillAllCandidates(grid, constraints) {
+    return grid.map((r, i) =>
+        r.map((c, j) =>
+            c.value ? c : { ...c, notes: getCandidates(grid, i, j, constraints) }
+        )
+    );
+}
+
+/**
+ * Zapíše hodnotu do buňky a odebere ji z poznámek ve všech souvisejících buňkách
+ * Poznámky zapisované buňky se vymažou
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {number} row
+ * @param {number} col
+ * @param {string} value - Znak číslice nebo '' pro smazání
+ * @param {import('./constraints.js').ConstraintSet | null} [constraints] - Pravidla sudoku (výchozí klasická)
+ * @returns {import('../types.js').SudokuGrid} Nový grid
+ */
+export function placeValue(grid, row, col, value, constraints) {
+    return grid.map((r, i) =>
+        r.map((c, j) => {
+            if (i === row && j === col) {
+                return { ...c, value, notes: [] };
+            }
+            if (value && c.notes?.includes(value) && arePeers(row, col, i, j, constraints)) {
+                return { ...c, notes: c.notes.filter(n => n !== value) };
+            }
+            return c;
+        })
+    );
+}
+
+/**
+ * Nastaví poznámky jedné buňky
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {number} row
+ * @param {number} col
+ * @param {string[]} notes
+ * @returns {import('../types.js').SudokuGrid} Nový grid
+ */
+export function setCellNotes(grid, row, col, notes) {
+    return grid.map((r, i) =>
+        r.map((c, j) =>
+            i === row && j === col ? { ...c, notes } : c
+        )
+    );
+}
+
+/**
+ * Validuje poznámky buňky (volitelné pole znaků číslic 1-9, A-G)
+ * @param {unknown} notes
+ * @returns {boolean}
+ */
+export function isValidNotes(notes) {
+    if (notes === undefined) return true;
+    return Array.isArray(notes) && notes.every(n => ALL_SYMBOLS.includes(n));
+}
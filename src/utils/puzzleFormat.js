@@ -0,0 +1,379 @@
+/**
+ * Import a export sudoku v textových formátech
+ * - řádek: 81 znaků, prázdné políčko je "." nebo "0"
+ * - SDK: 9 řádků po 9 znacích, řádky začínající "#" jsou komentáře
+ * - JSON: zadání, zápisy hráče a poznámky odděleně
+ */
+
+import { createEmptyGrid, getSolutionCount } from './sudokuGenerator.js';
+import { isValidGrid } from './localStorage.js';
+import { DIGITS } from './notes.js';
+
+/**
+ * @typedef {'line' | 'sdk' | 'json'} PuzzleFormat
+ */
+
+/**
+ * @typedef {Object} PuzzleJson
+ * @property {'sudoku-vue'} format
+ * @property {number} version
+ * @property {string} givens - 81 znaků zadání ("." = prázdné)
+ * @property {string} entries - 81 znaků zápisů hráče ("." = prázdné)
+ * @property {string[]} [notes] - 81 řetězců s kandidáty buněk
+ */
+
+/**
+ * Verze JSON formátu
+ */
+export const PUZZLE_JSON_VERSION = 1;
+
+/**
+ * Popisky formátů
+ * @type {Record<PuzzleFormat, string>}
+ */
+export const FORMAT_LABELS = {
+    line: 'Řádek (81 znaků)',
+    sdk: 'SDK (9 řádků)',
+    json: 'JSON'
+};
+
+const UNIT_NAMES = { row: 'v řádku', col: 've sloupci', box: 'v bloku' };
+
+/**
+ * @typedef {Object} GridConflict
+ * @property {string} value - Opakující se číslice
+ * @property {'row' | 'col' | 'box'} unit - Typ jednotky
+ * @property {number} index - Index jednotky (0-8)
+ * @property {{ row: number, col: number }[]} cells - Buňky se stejnou číslicí
+ */
+
+/**
+ * Najde všechny číslice, které se opakují v řádku, sloupci nebo 3x3 bloku
+ * Jen pro klasické 9x9 - textové formáty jiné velikosti ani pravidla navíc neznají
+ * (obecné kolize podle sady pravidel hledá findConflictCells v checking.js).
+ * @param {import('../types.js').SudokuGrid} grid
+ * @returns {GridConflict[]}
+ */
+function findConflicts(grid) {
+    /** @type {GridConflict[]} */
+    const conflicts = [];
+
+    /**
+     * @param {'row' | 'col' | 'box'} unit
+     * @param {number} index
+     * @param {{ row: number, col: number }[]} cells
+     */
+    const checkUnit = (unit, index, cells) => {
+        /** @type {Map<string, { row: number, col: number }[]>} */
+        const byValue = new Map();
+        for (const cell of cells) {
+            const value = grid[cell.row][cell.col].value;
+            if (!value) continue;
+            byValue.set(value, [...(byValue.get(value) || []), cell]);
+        }
+        for (const [value, sameCells] of byValue) {
+            if (sameCells.length > 1) {
+                conflicts.push({ value, unit, index, cells: sameCells });
+            }
+        }
+    };
+
+    for (let i = 0; i < 9; i++) {
+        const rowCells = [];
+        const colCells = [];
+        const boxCells = [];
+        for (let j = 0; j < 9; j++) {
+            rowCells.push({ row: i, col: j });
+            colCells.push({ row: j, col: i });
+            boxCells.push({ row: 3 * Math.floor(i / 3) + Math.floor(j / 3), col: 3 * (i % 3) + (j % 3) });
+        }
+        checkUnit('row', i, rowCells);
+        checkUnit('col', i, colCells);
+        checkUnit('box', i, boxCells);
+    }
+
+    return conflicts;
+}
+
+/**
+ * Převede znak na hodnotu buňky
+ * @param {string} char
+ * @param {string} context - Popis pozice pro chybovou hlášku
+ * @returns {string} Číslice nebo ''
+ * @throws {Error} Pokud znak není platný
+ */
+function charToValue(char, context) {
+    if (char === '.' || char === '0') return '';
+    if (DIGITS.includes(char)) return char;
+    throw new Error(`Neplatný znak "${char}" (${context}). Povolené jsou číslice 1-9, "." a "0".`);
+}
+
+/**
+ * Převede řetězec 81 znaků na pole hodnot
+ * @param {string} text
+ * @param {string} label - Název části vstupu pro chybovou hlášku
+ * @returns {string[]}
+ * @throws {Error}
+ */
+function parseCells(text, label) {
+    if (text.length !== 81) {
+        throw new Error(`${label} musí mít přesně 81 znaků, má ${text.length}.`);
+    }
+    return [...text].map((char, i) =>
+        charToValue(char, `${label}, řádek ${Math.floor(i / 9) + 1}, sloupec ${(i % 9) + 1}`)
+    );
+}
+
+/**
+ * Rozpozná formát vstupu
+ * @param {string} text
+ * @returns {PuzzleFormat}
+ */
+export function detectFormat(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{')) return 'json';
+    const lines = trimmed.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+    return lines.length > 1 ? 'sdk' : 'line';
+}
+
+/**
+ * Načte formát jednoho řádku
+ * @param {string} text
+ * @returns {import('../types.js').SudokuGrid}
+ * @throws {Error}
+ */
+function parseLine(text) {
+    const values = parseCells(text.trim(), 'Zadání');
+    return valuesToGrid(values);
+}
+
+/**
+ * Načte formát SDK (9 řádků, volitelně s oddělovači | - + a mezerami)
+ * @param {string} text
+ * @returns {import('../types.js').SudokuGrid}
+ * @throws {Error}
+ */
+function parseSdk(text) {
+    const rows = text
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => line.replace(/[\s|]/g, ''))
+        .filter(line => !/^[-+=]+$/.test(line));
+
+    if (rows.length !== 9) {
+        throw new Error(`Formát SDK musí mít 9 řádků s čísly, nalezeno ${rows.length}.`);
+    }
+
+    const values = rows.flatMap((line, row) => {
+        if (line.length !== 9) {
+            throw new Error(`Řádek ${row + 1} musí mít 9 znaků, má ${line.length}.`);
+        }
+        return [...line].map((char, col) => charToValue(char, `řádek ${row + 1}, sloupec ${col + 1}`));
+    });
+
+    return valuesToGrid(values);
+}
+
+/**
+ * Načte JSON formát se zápisy hráče
+ * @param {string} text
+ * @returns {import('../types.js').SudokuGrid}
+ * @throws {Error}
+ */
+function parseJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('Neplatný JSON.');
+    }
+
+    if (typeof data !== 'object' || data === null || data.format !== 'sudoku-vue') {
+        throw new Error('JSON neobsahuje sudoku v podporovaném formátu.');
+    }
+    if (data.version !== PUZZLE_JSON_VERSION) {
+        throw new Error(`Nepodporovaná verze formátu: ${data.version}.`);
+    }
+    if (typeof data.givens !== 'string') {
+        throw new Error('V JSON chybí zadání (givens).');
+    }
+
+    if (data.notes !== undefined && (!Array.isArray(data.notes) || data.notes.length !== 81)) {
+        throw new Error('Poznámky musí být pole 81 řetězců.');
+    }
+
+    return buildGrid(
+        data.givens,
+        data.entries === undefined ? undefined : String(data.entries),
+        data.notes
+    );
+}
+
+/**
+ * Sestaví grid ze zadání, zápisů hráče a poznámek
+ * @param {string} givensText - 81 znaků zadání
+ * @param {string} [entriesText] - 81 znaků zápisů hráče
+ * @param {unknown[]} [notesList] - 81 řetězců s kandidáty
+ * @returns {import('../types.js').SudokuGrid}
+ * @throws {Error}
+ */
+function buildGrid(givensText, entriesText, notesList) {
+    const givens = parseCells(givensText, 'Zadání');
+    const entries = entriesText === undefined
+        ? Array(81).fill('')
+        : parseCells(entriesText, 'Zápisy hráče');
+
+    const grid = createEmptyGrid();
+    for (let i = 0; i < 81; i++) {
+        const row = Math.floor(i / 9);
+        const col = i % 9;
+
+        if (givens[i] && entries[i]) {
+            throw new Error(`Buňka v řádku ${row + 1}, sloupci ${col + 1} je v zadání i v zápisech hráče.`);
+        }
+
+        const notes = notesList ? String(notesList[i]) : '';
+        if (![...notes].every(n => DIGITS.includes(n))) {
+            throw new Error(`Neplatné poznámky v řádku ${row + 1}, sloupci ${col + 1}.`);
+        }
+
+        grid[row][col] = {
+            value: givens[i] || entries[i],
+            isStatic: !!givens[i],
+            ...(notes ? { notes: [...new Set(notes)].sort() } : {})
+        };
+    }
+
+    return grid;
+}
+
+/**
+ * Sestaví a ověří sudoku ze zadání a volitelných zápisů hráče (81 znaků)
+ * @param {string} givensText
+ * @param {string} [entriesText]
+ * @returns {import('../types.js').SudokuGrid}
+ * @throws {Error} S popisem chyby pro uživatele
+ */
+export function puzzleFromCells(givensText, entriesText) {
+    const grid = buildGrid(givensText, entriesText);
+    assertConsistent(grid);
+    return grid;
+}
+
+/**
+ * Vytvoří grid z 81 hodnot (všechny vyplněné jsou zadání)
+ * @param {string[]} values
+ * @returns {import('../types.js').SudokuGrid}
+ */
+function valuesToGrid(values) {
+    const grid = createEmptyGrid();
+    values.forEach((value, i) => {
+        grid[Math.floor(i / 9)][i % 9] = { value, isStatic: !!value };
+    });
+    return grid;
+}
+
+/**
+ * Ověří, že zadání neobsahuje rozpory a má řešení
+ * Zápisy hráče se nekontrolují - i kolidující jsou legitimní stav hry a načtou se, jak jsou.
+ * @param {import('../types.js').SudokuGrid} grid
+ * @throws {Error}
+ */
+function assertConsistent(grid) {
+    if (!isValidGrid(grid)) {
+        throw new Error('Načtená mřížka nemá platnou strukturu.');
+    }
+
+    if (!grid.some(row => row.some(cell => cell.isStatic))) {
+        throw new Error('Zadání neobsahuje žádné vyplněné políčko.');
+    }
+
+    const givens = grid.map(row =>
+        row.map(cell => ({ value: cell.isStatic ? cell.value : '', isStatic: cell.isStatic }))
+    );
+    const [conflict] = findConflicts(givens);
+    if (conflict) {
+        throw new Error(`Číslice ${conflict.value} je ${UNIT_NAMES[conflict.unit]} ${conflict.index + 1} vícekrát.`);
+    }
+
+    if (getSolutionCount(givens, 1) === 0) {
+        throw new Error('Sudoku nemá žádné řešení.');
+    }
+}
+
+/**
+ * Načte sudoku z textu, formát se rozpozná automaticky
+ * @param {string} text
+ * @returns {{ grid: import('../types.js').SudokuGrid, format: PuzzleFormat }}
+ * @throws {Error} S popisem chyby pro uživatele
+ */
+export function parsePuzzle(text) {
+    if (!text || !text.trim()) {
+        throw new Error('Vstup je prázdný.');
+    }
+
+    const format = detectFormat(text);
+    const parsers = { line: parseLine, sdk: parseSdk, json: parseJson };
+    const grid = parsers[format](text);
+
+    assertConsistent(grid);
+    return { grid, format };
+}
+
+/**
+ * Převede grid na řetězec 81 znaků
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {(cell: import('../types.js').GridCell) => boolean} [include] - Které hodnoty zahrnout
+ * @returns {string}
+ */
+function gridToCells(grid, include = () => true) {
+    return grid.flat().map(cell => (cell.value && include(cell) ? cell.value : '.')).join('');
+}
+
+/**
+ * Export do formátu jednoho řádku
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {boolean} [givensOnly=true] - Pouze zadání bez zápisů hráče
+ * @returns {string}
+ */
+export function toLineFormat(grid, givensOnly = true) {
+    return gridToCells(grid, cell => !givensOnly || cell.isStatic);
+}
+
+/**
+ * Export do formátu SDK
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {boolean} [givensOnly=true] - Pouze zadání bez zápisů hráče
+ * @returns {string}
+ */
+export function toSdkFormat(grid, givensOnly = true) {
+    const cells = toLineFormat(grid, givensOnly);
+    const rows = [];
+    for (let i = 0; i < 9; i++) {
+        rows.push(cells.slice(i * 9, i * 9 + 9));
+    }
+    return rows.join('\n') + '\n';
+}
+
+/**
+ * Export do JSON formátu (zadání, zápisy hráče a poznámky zvlášť)
+ * @param {import('../types.js').SudokuGrid} grid
+ * @returns {string}
+ */
+export function toJsonFormat(grid) {
+    /** @type {PuzzleJson} */
+    const data = {
+        format: 'sudoku-vue',
+        version: PUZZLE_JSON_VERSION,
+        givens: gridToCells(grid, cell => cell.isStatic),
+        entries: gridToCells(grid, cell => !cell.isStatic)
+    };
+
+    const notes = grid.flat().map(cell => (!cell.value && cell.notes ? cell.notes.join('') : ''));
+    if (notes.some(Boolean)) {
+        data.notes = notes;
+    }
+
+    return JSON.stringify(data, null, 2);
+}
@@ -0,0 +1,195 @@
+/**
+ * Zásobník předgenerovaných sudoku v IndexedDB
+ * Worker ho v nečinnosti doplňuje, generování z něj nejdřív bere - nové sudoku je tak hned a i offline.
+ * Zásobník obsahuje jen klasické sudoku 9x9, každé zadání nejvýš jednou; už vydaná zadání se do něj nevrací.
+ * Funguje v hlavním vlákně i ve workeru. Když IndexedDB není k dispozici, chová se jako prázdný.
+ */
+
+import { DIFFICULTY_ORDER } from './difficultyGrader.js';
+import { promisify, transactionDone } from './indexedDb.js';
+
+const DB_NAME = 'sudoku_pool';
+const DB_VERSION = 1;
+const PUZZLE_STORE = 'puzzles';
+const ISSUED_STORE = 'issued';
+
+/**
+ * Kolik naposledy vydaných zadání si pamatujeme, aby se nevydala znovu
+ */
+const ISSUED_LIMIT = 500;
+
+/**
+ * @typedef {Object} PoolPuzzle
+ * @property {string} givens - 81 znaků zadání ("." = prázdné), zároveň klíč
+ * @property {import('../types.js').Difficulty} difficulty
+ * @property {string} seed - Seed, ze kterého sudoku vzniklo
+ * @property {import('../types.js').Difficulty} [seedDifficulty] - Obtížnost, se kterou sudoku vzniklo (její minFilled
+ *   seed reprodukuje); může se lišit od difficulty podle hodnocení. Chybí u záznamů starších verzí.
+ * @property {string} solution - Řešení (81 číslic)
+ * @property {number} createdAt
+ */
+
+/** @type {Promise<IDBDatabase | null> | null} */
+let dbPromise = null;
+
+/**
+ * Otevře databázi zásobníku (jednou za běh)
+ * @returns {Promise<IDBDatabase | null>} Null pokud IndexedDB není k dispozici
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+        try {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const puzzles = db.createObjectStore(PUZZLE_STORE, { keyPath: 'givens' });
+                puzzles.createIndex('difficulty', 'difficulty');
+                const issued = db.createObjectStore(ISSUED_STORE, { keyPath: 'givens' });
+                issued.createIndex('issuedAt', 'issuedAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('[puzzlePool] IndexedDB nelze otevřít:', request.error);
+                resolve(null);
+            };
+        } catch (error) {
+            console.warn('[puzzlePool] IndexedDB není k dispozici:', error);
+            resolve(null);
+        }
+    });
+    return dbPromise;
+}
+
+/**
+ * Ověří, zda lze zásobník používat (IndexedDB je k dispozici)
+ * @returns {Promise<boolean>}
+ */
+export async function isPoolAvailable() {
+    return (await openDatabase()) !== null;
+}
+
+/**
+ * Počet připravených sudoku pro každou obtížnost
+ * @returns {Promise<Record<import('../types.js').Difficulty, number>>}
+ */
+export async function getPoolCounts() {
+    /** @type {Record<import('../types.js').Difficulty, number>} */
+    const counts = { easy: 0, medium: 0, hard: 0 };
+    const db = await openDatabase();
+    if (!db) return counts;
+
+    try {
+        const index = db.transaction(PUZZLE_STORE).objectStore(PUZZLE_STORE).index('difficulty');
+        for (const difficulty of DIFFICULTY_ORDER) {
+            counts[difficulty] = await promisify(index.count(difficulty));
+        }
+    } catch (error) {
+        console.warn('[puzzlePool] Chyba při počítání zásobníku:', error);
+    }
+    return counts;
+}
+
+/**
+ * Výsledek přidání do zásobníku
+ * - added: sudoku se přidalo
+ * - duplicate: sudoku už v zásobníku je nebo bylo vydané
+ * - failed: zápis selhal (např. plné úložiště)
+ * @typedef {'added' | 'duplicate' | 'failed'} PoolAddResult
+ */
+
+/**
+ * Přidá sudoku do zásobníku, pokud v něm ještě není a nebylo už vydané
+ * @param {PoolPuzzle} puzzle
+ * @returns {Promise<PoolAddResult>}
+ */
+export async function addPoolPuzzle(puzzle) {
+    const db = await openDatabase();
+    if (!db) return 'failed';
+
+    try {
+        const transaction = db.transaction([PUZZLE_STORE, ISSUED_STORE], 'readwrite');
+        const issued = await promisify(transaction.objectStore(ISSUED_STORE).count(puzzle.givens));
+        const stored = await promisify(transaction.objectStore(PUZZLE_STORE).count(puzzle.givens));
+        if (issued || stored) return 'duplicate';
+
+        transaction.objectStore(PUZZLE_STORE).add(puzzle);
+        await transactionDone(transaction);
+        return 'added';
+    } catch (error) {
+        console.warn('[puzzlePool] Chyba při ukládání do zásobníku:', error);
+        return 'failed';
+    }
+}
+
+/**
+ * Vyjme ze zásobníku nejstarší sudoku dané obtížnosti a zapamatuje si ho jako vydané
+ * V jedné transakci, takže ani dva panely stejné sudoku nedostanou
+ * @param {import('../types.js').Difficulty} difficulty
+ * @returns {Promise<PoolPuzzle | null>} Null pokud je zásobník prázdný
+ */
+export async function takePoolPuzzle(difficulty) {
+    const db = await openDatabase();
+    if (!db) return null;
+
+    try {
+        const transaction = db.transaction([PUZZLE_STORE, ISSUED_STORE], 'readwrite');
+        const puzzles = transaction.objectStore(PUZZLE_STORE);
+        const issued = transaction.objectStore(ISSUED_STORE);
+
+        /** @type {PoolPuzzle[]} */
+        const candidates = await promisify(puzzles.index('difficulty').getAll(difficulty));
+        const puzzle = candidates.sort((a, b) => a.createdAt - b.createdAt)[0];
+        if (!puzzle) return null;
+
+        puzzles.delete(puzzle.givens);
+        issued.put({ givens: puzzle.givens, issuedAt: Date.now() });
+
+        const issuedCount = await promisify(issued.count());
+        if (issuedCount > ISSUED_LIMIT) {
+            const oldest = await promisify(issued.index('issuedAt').getAllKeys(null, issuedCount - ISSUED_LIMIT));
+            oldest.forEach(key => issued.delete(key));
+        }
+
+        await transactionDone(transaction);
+        return isValidPoolPuzzle(puzzle) ? puzzle : null;
+    } catch (error) {
+        console.warn('[puzzlePool] Chyba při čtení ze zásobníku:', error);
+        return null;
+    }
+}
+
+/**
+ * Validuje záznam ze zásobníku (databázi mohla zapsat i starší verze aplikace)
+ * @param {unknown} data
+ * @returns {data is PoolPuzzle}
+ */
+function isValidPoolPuzzle(data) {
+    if (typeof data !== 'object' || data === null) return false;
+    const puzzle = /** @type {Record<string, unknown>} */ (data);
+    return typeof puzzle.givens === 'string' &&
+        /^[1-9.]{81}$/.test(puzzle.givens) &&
+        typeof puzzle.seed === 'string' &&
+        typeof puzzle.solution === 'string' &&
+        /^[1-9]{81}$/.test(puzzle.solution) &&
+        [...puzzle.givens].every((value, i) => value === '.' || value === /** @type {string} */ (puzzle.solution)[i]);
+}
+
+/**
+ * Sestaví grid ze zadání ze zásobníku (nebo ze zdroje sudoku, viz puzzleProviders.js)
+ * @param {{ givens: string }} puzzle - 81 znaků zadání ("." = prázdné)
+ * @returns {import('../types.js').SudokuGrid}
+ */
+export function poolPuzzleToGrid(puzzle) {
+    return Array.from({ length: 9 }, (_, row) =>
+        Array.from({ length: 9 }, (_, col) => {
+            const value = puzzle.givens[row * 9 + col];
+            return value === '.' ? { value: '', isStatic: false } : { value, isStatic: true };
+        })
+    );
+}
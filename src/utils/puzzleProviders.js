@@ -0,0 +1,273 @@
+/**
+ * Zdroje nových sudoku (klasické 9x9)
+ * Vzdálené API, lokální generátor a sbírka sudoku přibalená k aplikaci. Pořadí zdrojů se nastavuje
+ * pro každou obtížnost zvlášť. Tady jsou zdroje, které sudoku stahují - lokální generátor běží ve workeru
+ * a jeho sudoku i ověření stažených zadání (jediné řešení shodné s deklarovaným) řeší useSudokuWorker.
+ */
+
+import { isDifficulty } from './difficultyGrader.js';
+
+/**
+ * @typedef {'api' | 'local' | 'bundled'} ProviderId
+ */
+
+/**
+ * Sudoku ze zdroje
+ * @typedef {Object} ProvidedPuzzle
+ * @property {string} givens - 81 znaků zadání ("." = prázdné)
+ * @property {string | null} solution - Deklarované řešení (81 číslic), pokud ho zdroj uvádí
+ * @property {import('../types.js').Difficulty} difficulty - Obtížnost podle zdroje
+ */
+
+/**
+ * @typedef {Object} PuzzleProvider
+ * @property {ProviderId} id
+ * @property {(difficulty: import('../types.js').Difficulty, signal?: AbortSignal) => Promise<ProvidedPuzzle | null>} fetchPuzzle
+ *   - Null, pokud zdroj sudoku požadované obtížnosti nemá (nebo je nedostupný)
+ */
+
+/**
+ * Všechny zdroje
+ * @type {ProviderId[]}
+ */
+export const PROVIDER_IDS = ['api', 'local', 'bundled'];
+
+/**
+ * Popisky zdrojů pro nastavení
+ * @type {Record<ProviderId, string>}
+ */
+export const PROVIDER_LABELS = {
+    api: 'dosuku API',
+    local: 'lokální generátor',
+    bundled: 'sbírka sudoku'
+};
+
+/**
+ * Výchozí pořadí zdrojů pro každou obtížnost
+ * Sbírka je až za generátorem - pomůže, když generování těžkého sudoku nestihne časový limit.
+ * @type {Record<import('../types.js').Difficulty, ProviderId[]>}
+ */
+export const DEFAULT_PROVIDER_ORDER = {
+    easy: ['api', 'local', 'bundled'],
+    medium: ['api', 'local', 'bundled'],
+    hard: ['api', 'local', 'bundled']
+};
+
+/**
+ * Výchozí adresa API (jiné, např. lokální mock server, se nastaví přes VITE_PUZZLE_API_URL)
+ */
+const DEFAULT_API_URL = 'https://sudoku-api.vercel.app/api/dosuku';
+
+/**
+ * Počet sudoku v jedné odpovědi API
+ */
+const API_BATCH_SIZE = 5;
+
+/**
+ * Časový limit požadavku na API nebo na soubor sbírky (ms)
+ */
+const FETCH_TIMEOUT_MS = 5000;
+
+/**
+ * Nejvyšší počet nepoužitých sudoku z API uchovávaných pro každou obtížnost
+ */
+const MAX_QUEUED_PER_DIFFICULTY = 20;
+
+/**
+ * Obtížnosti z API
+ * @type {Record<string, import('../types.js').Difficulty>}
+ */
+const DIFFICULTY_MAP_FROM_API = {
+    'Easy': 'easy',
+    'Medium': 'medium',
+    'Hard': 'hard'
+};
+
+/**
+ * Chyba zrušeného požadavku (stejná jako u fetch s AbortSignal)
+ * @returns {DOMException}
+ */
+function createAbortError() {
+    return new DOMException('Požadavek byl zrušen.', 'AbortError');
+}
+
+/**
+ * Stáhne JSON s časovým limitem
+ * Zrušení volajícím se propaguje jako AbortError, vypršení limitu jako běžná chyba.
+ * @param {string} url
+ * @param {AbortSignal} [signal] - Zrušení volajícím
+ * @returns {Promise<unknown>}
+ */
+async function fetchJson(url, signal) {
+    if (signal?.aborted) throw createAbortError();
+
+    const controller = new AbortController();
+    let timedOut = false;
+    const timeout = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, FETCH_TIMEOUT_MS);
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort, { once: true });
+
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) {
+            throw new Error(`HTTP error: ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        if (timedOut) throw new Error(`Požadavek trval déle než ${FETCH_TIMEOUT_MS / 1000} s`);
+        throw error;
+    } finally {
+        clearTimeout(timeout);
+        signal?.removeEventListener('abort', abort);
+    }
+}
+
+/**
+ * Prohlížeč je offline - požadavek by jen čekal na chybu
+ * @returns {boolean}
+ */
+function isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * Ověří tvar sudoku ze zdroje (ne jeho řešitelnost)
+ * Deklarované řešení musí souhlasit se zadanými číslicemi, jinak se zahodí.
+ * @param {unknown} givens
+ * @param {unknown} solution
+ * @param {unknown} difficulty
+ * @returns {ProvidedPuzzle | null}
+ */
+function toProvidedPuzzle(givens, solution, difficulty) {
+    if (typeof givens !== 'string' || !/^[1-9.]{81}$/.test(givens)) return null;
+    if (!isDifficulty(difficulty)) return null;
+
+    const declared = typeof solution === 'string' && /^[1-9]{81}$/.test(solution) &&
+        [...givens].every((value, i) => value === '.' || value === solution[i])
+        ? solution
+        : null;
+    return {
+        givens,
+        solution: declared,
+        difficulty
+    };
+}
+
+/**
+ * Převede mřížku z API (9x9 čísel, 0 = prázdné) na 81 znaků
+ * @param {unknown} apiGrid
+ * @returns {string | null}
+ */
+function apiGridToString(apiGrid) {
+    if (!Array.isArray(apiGrid) || apiGrid.length !== 9) return null;
+    if (!apiGrid.every(row => Array.isArray(row) && row.length === 9)) return null;
+    return apiGrid.flat().map(value => (value === 0 ? '.' : String(value))).join('');
+}
+
+/**
+ * Vzdálené API ve formátu dosuku (https://sudoku-api.vercel.app/)
+ * API nepodporuje výběr obtížnosti a vrací sudoku náhodných obtížností - nepoužitá si zdroj
+ * ponechá ve frontě pro další hry.
+ * @param {Object} [options]
+ * @param {string} [options.url]
+ * @returns {PuzzleProvider}
+ */
+export function createApiProvider({ url = import.meta.env.VITE_PUZZLE_API_URL || DEFAULT_API_URL } = {}) {
+    /** @type {Record<import('../types.js').Difficulty, ProvidedPuzzle[]>} */
+    const queue = { easy: [], medium: [], hard: [] };
+
+    /**
+     * Stáhne várku sudoku do fronty
+     * @param {AbortSignal} [signal]
+     */
+    async function fetchBatch(signal) {
+        const query = encodeURIComponent(`{newboard(limit:${API_BATCH_SIZE}){grids{value,solution,difficulty},results,message}}`);
+        const data = /** @type {{ newboard?: { grids?: unknown } } | null} */ (await fetchJson(`${url}?query=${query}`, signal));
+
+        const grids = data?.newboard?.grids;
+        if (!Array.isArray(grids) || grids.length === 0) {
+            throw new Error('Neplatná odpověď z API');
+        }
+
+        for (const item of grids) {
+            const givens = apiGridToString(item?.value);
+            const solution = Array.isArray(item?.solution) ? apiGridToString(item.solution) : null;
+            const puzzle = toProvidedPuzzle(givens, solution, DIFFICULTY_MAP_FROM_API[item?.difficulty]);
+            if (!puzzle) {
+                console.warn('API vrátilo neplatné sudoku, přeskočeno');
+                continue;
+            }
+            const target = queue[puzzle.difficulty];
+            if (target.length < MAX_QUEUED_PER_DIFFICULTY) target.push(puzzle);
+        }
+    }
+
+    return {
+        id: 'api',
+        async fetchPuzzle(difficulty, signal) {
+            if (queue[difficulty].length === 0) {
+                if (isOffline()) {
+                    console.log('Prohlížeč je offline, API přeskočeno');
+                    return null;
+                }
+                await fetchBatch(signal);
+            }
+
+            const puzzle = queue[difficulty].shift() ?? null;
+            if (!puzzle) console.log(`API nevrátilo sudoku s obtížností ${difficulty}`);
+            return puzzle;
+        }
+    };
+}
+
+/**
+ * Sbírka sudoku přibalená k aplikaci (public/puzzles.json, vytváří ji npm run puzzles)
+ * Soubor se stáhne jednou, service worker ho má v cache i offline. Sudoku se neopakují,
+ * dokud se nevystřídají všechna dané obtížnosti.
+ * @param {Object} [options]
+ * @param {string} [options.url]
+ * @returns {PuzzleProvider}
+ */
+export function createBundledProvider({ url = `${import.meta.env.BASE_URL}puzzles.json` } = {}) {
+    /** @type {Promise<ProvidedPuzzle[]> | null} */
+    let loading = null;
+    /** @type {Set<string>} Už použitá zadání */
+    const used = new Set();
+
+    /**
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<ProvidedPuzzle[]>}
+     */
+    function loadPuzzles(signal) {
+        loading ??= fetchJson(url, signal).then((data) => {
+            const items = /** @type {{ puzzles?: unknown } | null} */ (data)?.puzzles;
+            if (!Array.isArray(items)) throw new Error('Soubor sbírky sudoku je neplatný');
+            return items
+                .map(item => toProvidedPuzzle(item?.givens, item?.solution, item?.difficulty))
+                .filter(puzzle => puzzle !== null);
+        });
+        // Neúspěšné načtení (i zrušené) se příště zkusí znovu
+        loading.catch(() => { loading = null; });
+        return loading;
+    }
+
+    return {
+        id: 'bundled',
+        async fetchPuzzle(difficulty, signal) {
+            const candidates = (await loadPuzzles(signal)).filter(puzzle => puzzle.difficulty === difficulty);
+            if (candidates.length === 0) return null;
+
+            let unused = candidates.filter(puzzle => !used.has(puzzle.givens));
+            if (unused.length === 0) {
+                for (const puzzle of candidates) used.delete(puzzle.givens);
+                unused = candidates;
+            }
+            const puzzle = unused[Math.floor(Math.random() * unused.length)];
+            used.add(puzzle.givens);
+            return puzzle;
+        }
+    };
+}
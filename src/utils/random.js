@@ -0,0 +1,67 @@
+/**
+ * Seedovatelný generátor pseudonáhodných čísel
+ * Stejný seed dává na všech strojích stejnou posloupnost
+ */
+
+import { MAX_SEED_LENGTH } from '../types.js';
+
+/**
+ * @typedef {() => number} RandomFn - Vrací číslo z intervalu [0, 1)
+ */
+
+/**
+ * Převede řetězec na 32bitový hash (cyrb53, zkráceno na 32 bitů)
+ * @param {string} str
+ * @returns {number}
+ */
+function hashString(str) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (h1 ^ h2) >>> 0;
+}
+
+/**
+ * Vytvoří PRNG (mulberry32) inicializovaný seedem
+ * @param {string} seed
+ * @returns {RandomFn}
+ */
+export function createRandom(seed) {
+    let state = hashString(seed);
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Vytvoří nový náhodný seed (8 znaků a-z0-9)
+ * @returns {string}
+ */
+export function createSeed() {
+    let seed = '';
+    for (let i = 0; i < 8; i++) {
+        seed += Math.floor(Math.random() * 36).toString(36);
+    }
+    return seed;
+}
+
+/**
+ * Normalizuje seed zadaný uživatelem
+ * @param {unknown} value
+ * @returns {string | null} Seed nebo null, pokud je neplatný
+ */
+export function normalizeSeed(value) {
+    const seed = String(value ?? '').trim();
+    if (seed.length === 0 || seed.length > MAX_SEED_LENGTH) return null;
+    return seed;
+}
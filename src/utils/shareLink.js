@@ -0,0 +1,95 @@
+/**
+ * Sdílení sudoku přes URL fragment
+ * Formát: #g=<zadání>&e=<zápisy>&d=<obtížnost>
+ * Zadání i zápisy jsou 81 buněk, kde běhy prázdných políček jsou zkrácené na písmena (a = 1 ... z = 26)
+ */
+
+import { puzzleFromCells, toLineFormat } from './puzzleFormat.js';
+import { isDifficulty } from './difficultyGrader.js';
+
+/**
+ * Zkomprimuje 81 znaků ("." = prázdné) do tvaru pro URL
+ * @param {string} cells
+ * @returns {string}
+ */
+function compressCells(cells) {
+    return cells.replace(/\.{1,26}/g, run => String.fromCharCode(96 + run.length));
+}
+
+/**
+ * Rozbalí komprimované buňky zpět na 81 znaků
+ * @param {string} compressed
+ * @returns {string}
+ * @throws {Error} Pokud obsahuje neplatné znaky
+ */
+function expandCells(compressed) {
+    if (!/^[1-9a-z]*$/.test(compressed)) {
+        throw new Error('Odkaz obsahuje neplatné znaky.');
+    }
+    return compressed.replace(/[a-z]/g, ch => '.'.repeat(ch.charCodeAt(0) - 96));
+}
+
+/**
+ * Vytvoří URL fragment (bez #) pro sdílení sudoku
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {{ includeProgress?: boolean, difficulty?: import('../types.js').Difficulty | null }} [options]
+ * @returns {string}
+ */
+export function encodeShareFragment(grid, { includeProgress = false, difficulty = null } = {}) {
+    const params = new URLSearchParams();
+    params.set('g', compressCells(toLineFormat(grid, true)));
+
+    if (includeProgress) {
+        const entries = grid.flat().map(cell => (cell.value && !cell.isStatic ? cell.value : '.')).join('');
+        if (entries.replace(/\./g, '')) {
+            params.set('e', compressCells(entries));
+        }
+    }
+
+    if (difficulty) {
+        params.set('d', difficulty);
+    }
+
+    return params.toString();
+}
+
+/**
+ * Vytvoří celý odkaz pro sdílení (zachová aktuální cestu, např. /sudoku/)
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {{ includeProgress?: boolean, difficulty?: import('../types.js').Difficulty | null }} [options]
+ * @returns {string}
+ */
+export function createShareUrl(grid, options) {
+    return `${location.origin}${location.pathname}#${encodeShareFragment(grid, options)}`;
+}
+
+/**
+ * Načte sudoku z URL fragmentu
+ * @param {string} hash - location.hash (s # nebo bez)
+ * @returns {{ grid: import('../types.js').SudokuGrid, difficulty: import('../types.js').Difficulty | null } | null} Null pokud fragment neobsahuje sudoku
+ * @throws {Error} Pokud je odkaz poškozený nebo sudoku neplatné
+ */
+export function decodeShareFragment(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const givens = params.get('g');
+    if (givens === null) return null;
+
+    const entries = params.get('e');
+    const grid = puzzleFromCells(
+        expandCells(givens),
+        entries === null ? undefined : expandCells(entries)
+    );
+
+    const difficulty = params.get('d');
+    return {
+        grid,
+        difficulty: isDifficulty(difficulty) ? difficulty : null
+    };
+}
+
+/**
+ * Odstraní sdílený fragment z adresy bez přidání záznamu do historie
+ */
+export function clearShareFragment() {
+    history.replaceState(null, '', location.pathname + location.search);
+}
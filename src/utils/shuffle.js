@@ -3,11 +3,12 @@
  * Náhodně zamíchá pole in-place
  * @template T
  * @param {T[]} array - Pole k zamíchání
+ * @param {import('./random.js').RandomFn} [random=Math.random] - Zdroj náhody (pro seedované generování)
  * @returns {T[]} Zamíchané pole (stejná reference)
  */
-export function shuffle(array) {
+export function shuffle(array, random = Math.random) {
     for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [array[i], array[j]] = [array[j], array[i]];
     }
     return array;
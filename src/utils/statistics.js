@@ -0,0 +1,148 @@
+/**
+ * Výpočty nad statistikami hráče
+ */
+
+import { DIFFICULTY_ORDER } from './difficultyGrader.js';
+
+/**
+ * Verze formátu statistik
+ */
+export const STATS_VERSION = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} StatsSummary
+ * @property {number} started
+ * @property {number} solved
+ * @property {number | null} solveRate - Podíl vyřešených ze začatých (0-1), null bez začaté hry
+ * @property {number | null} bestTimeMs
+ * @property {number | null} averageTimeMs
+ * @property {number} currentStreak - Aktuální série dní s vyřešeným sudoku
+ * @property {number} longestStreak - Nejdelší série dní s vyřešeným sudoku
+ * @property {number} hintsUsed
+ * @property {number} autoSolves
+ */
+
+/**
+ * Vytvoří prázdné statistiky pro jednu obtížnost
+ * @returns {import('../types.js').DifficultyStats}
+ */
+export function createDifficultyStats() {
+    return {
+        started: 0,
+        solved: 0,
+        totalTimeMs: 0,
+        bestTimeMs: null,
+        hintsUsed: 0,
+        autoSolves: 0,
+        solveDates: []
+    };
+}
+
+/**
+ * Vytvoří prázdné statistiky hráče
+ * @returns {import('../types.js').PlayerStats}
+ */
+export function createEmptyStats() {
+    return {
+        version: STATS_VERSION,
+        byDifficulty: {
+            easy: createDifficultyStats(),
+            medium: createDifficultyStats(),
+            hard: createDifficultyStats()
+        }
+    };
+}
+
+/**
+ * Převede datum na klíč dne v místním čase (YYYY-MM-DD)
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function toDateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Pořadové číslo dne z klíče (nezávislé na letním čase)
+ * @param {string} dateKey
+ * @returns {number}
+ */
+function dayNumber(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return Math.round(Date.UTC(year, month - 1, day) / DAY_MS);
+}
+
+/**
+ * Spočítá aktuální a nejdelší sérii po sobě jdoucích dní
+ * Aktuální série platí, pokud poslední den je dnes nebo včera
+ * @param {string[]} dateKeys - Dny ve formátu YYYY-MM-DD
+ * @param {string} [today]
+ * @returns {{ current: number, longest: number }}
+ */
+export function computeStreaks(dateKeys, today = toDateKey()) {
+    const days = [...new Set(dateKeys.map(dayNumber))].sort((a, b) => a - b);
+    if (days.length === 0) return { current: 0, longest: 0 };
+
+    let longest = 1;
+    let run = 1;
+    for (let i = 1; i < days.length; i++) {
+        run = days[i] === days[i - 1] + 1 ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    }
+
+    const lastDay = days[days.length - 1];
+    const current = dayNumber(today) - lastDay <= 1 ? run : 0;
+
+    return { current, longest };
+}
+
+/**
+ * Shrne statistiky (jedné nebo více obtížností) pro zobrazení
+ * @param {import('../types.js').DifficultyStats[]} entries
+ * @param {string} [today]
+ * @returns {StatsSummary}
+ */
+function summarize(entries, today) {
+    const sum = (/** @type {keyof import('../types.js').DifficultyStats} */ key) =>
+        entries.reduce((total, entry) => total + /** @type {number} */ (entry[key]), 0);
+
+    const started = sum('started');
+    const solved = sum('solved');
+    const bestTimes = entries.map(entry => entry.bestTimeMs).filter(time => time !== null);
+    const { current, longest } = computeStreaks(entries.flatMap(entry => entry.solveDates), today);
+
+    return {
+        started,
+        solved,
+        solveRate: started > 0 ? Math.min(1, solved / started) : null,
+        bestTimeMs: bestTimes.length > 0 ? Math.min(...bestTimes) : null,
+        averageTimeMs: solved > 0 ? sum('totalTimeMs') / solved : null,
+        currentStreak: current,
+        longestStreak: longest,
+        hintsUsed: sum('hintsUsed'),
+        autoSolves: sum('autoSolves')
+    };
+}
+
+/**
+ * Shrnutí statistik po obtížnostech a celkem
+ * @param {import('../types.js').PlayerStats} stats
+ * @param {string} [today]
+ * @returns {{ byDifficulty: Record<import('../types.js').Difficulty, StatsSummary>, total: StatsSummary }}
+ */
+export function summarizeStats(stats, today = toDateKey()) {
+    const byDifficulty = /** @type {Record<import('../types.js').Difficulty, StatsSummary>} */ (
+        Object.fromEntries(
+            DIFFICULTY_ORDER.map(difficulty => [difficulty, summarize([stats.byDifficulty[difficulty]], today)])
+        )
+    );
+
+    return {
+        byDifficulty,
+        total: summarize(DIFFICULTY_ORDER.map(difficulty => stats.byDifficulty[difficulty]), today)
+    };
+}
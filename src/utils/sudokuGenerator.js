@@ -4,6 +4,38 @@
  */
 
 import { shuffle } from './shuffle.js';
+import { ratePuzzle, difficultyDistance } from './difficultyGrader.js';
+import { createRandom, createSeed } from './random.js';
+import { createCages, getCageLookup } from './killer.js';
+import { canPlace, satisfiesConstraints, getConstraintSet, classicConstraintsFor } from './constraints.js';
+import { boxIndexOf, DEFAULT_GRID_SIZE } from './gridSize.js';
+
+/**
+ * Časový limit pro opakované generování na cílovou obtížnost (ms)
+ * Po jeho vypršení se vrátí nejbližší dosud nalezené sudoku
+ */
+const GRADED_GENERATION_TIME_LIMIT_MS = 6000;
+
+/**
+ * Nejvyšší počet kroků prohledávání při vyplňování gridu s pravidly navíc
+ * Některé kombinace pravidel nemají řešení nebo se hledá neúnosně dlouho - pak generování skončí chybou.
+ */
+const FILL_STEP_LIMIT = 3000000;
+
+/**
+ * Chyba, když se grid s danými pravidly nepodaří vyplnit
+ */
+const UNFILLABLE_RULES_MESSAGE = 'Pro zvolenou kombinaci pravidel se nepodařilo najít řešení.';
+
+/**
+ * Počet rozdělení na klece, které se zkusí pro killer sudoku bez zadaných číslic
+ */
+const KILLER_PARTITION_TRIES = 5;
+
+/**
+ * Počet zadaných číslic navíc u lehkého killer sudoku
+ */
+const KILLER_EASY_EXTRA_GIVENS = 8;
 
 /**
  * Vytvoří hlubokou kopii gridu
@@ -11,7 +43,9 @@ import { shuffle } from './shuffle.js';
  * @returns {import('../types.js').SudokuGrid}
  */
 export function copyGrid(grid) {
-    return grid.map(row => row.map(cell => ({ ...cell })));
+    return grid.map(row => row.map(cell => (
+        cell.notes ? { ...cell, notes: [...cell.notes] } : { ...cell }
+    )));
 }
 
 /**
@@ -20,8 +54,8 @@ export function copyGrid(grid) {
  * @returns {{ row: number, col: number } | null}
  */
 export function findEmpty(grid) {
-    for (let row = 0; row < 9; row++) {
-        for (let col = 0; col < 9; col++) {
+    for (let row = 0; row < grid.length; row++) {
+        for (let col = 0; col < grid.length; col++) {
             if (!grid[row][col].value) return { row, col };
         }
     }
@@ -34,184 +68,679 @@ export function findEmpty(grid) {
  * @param {number} row
  * @param {number} col
  * @param {string} value
+ * @param {import('./constraints.js').ConstraintSet | null} [constraints] - Pravidla sudoku (výchozí klasická)
  * @returns {boolean}
  */
-export function isValid(grid, row, col, value) {
-    // Kontrola řádku a sloupce
-    for (let i = 0; i < 9; i++) {
-        if (grid[row][i].value === value) return false;
-        if (grid[i][col].value === value) return false;
-    }
+export function isValid(grid, row, col, value, constraints) {
+    return canPlace(grid, row, col, value, constraints ?? classicConstraintsFor(grid));
+}
 
-    // Kontrola 3x3 bloku
-    const startRow = 3 * Math.floor(row / 3);
-    const startCol = 3 * Math.floor(col / 3);
-    for (let i = 0; i < 3; i++) {
-        for (let j = 0; j < 3; j++) {
-            if (grid[startRow + i][startCol + j].value === value) return false;
-        }
-    }
+/**
+ * Ověří, zda jde o jiné než klasické sudoku 9x9 (pravidla navíc, klece nebo jiná velikost)
+ * Klasické 9x9 se vyplňuje po řádcích a hodnotí podle technik, aby seedy dávaly stejná sudoku jako dřív
+ * @param {import('./constraints.js').ConstraintSet | null | undefined} constraints
+ * @returns {constraints is import('./constraints.js').ConstraintSet}
+ */
+function hasExtraConstraints(constraints) {
+    return !!constraints && (!constraints.isClassic || constraints.size !== DEFAULT_GRID_SIZE);
+}
 
-    return true;
+/**
+ * Sada pravidel předaná volajícím, jinak klasická pravidla pro velikost gridu
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {import('./constraints.js').ConstraintSet | null | undefined} constraints
+ * @returns {import('./constraints.js').ConstraintSet}
+ */
+function resolveConstraints(grid, constraints) {
+    return constraints ?? classicConstraintsFor(grid);
 }
 
 /**
- * Spočítá počet řešení sudoku (do maxCount)
+ * Kombinace různých číslic podle počtu a součtu: COMBINATIONS[počet][součet] = bitové masky
+ * Bit 0 odpovídá číslici 1, bit 8 číslici 9
+ * @type {number[][][]}
+ */
+const COMBINATIONS = (() => {
+    const table = Array.from({ length: 10 }, () => Array.from({ length: 46 }, () => []));
+    for (let mask = 1; mask < 512; mask++) {
+        let size = 0;
+        let sum = 0;
+        for (let digit = 0; digit < 9; digit++) {
+            if (mask & (1 << digit)) {
+                size++;
+                sum += digit + 1;
+            }
+        }
+        table[size][sum].push(mask);
+    }
+    return table;
+})();
+
+/**
+ * Prohledá řešení sudoku nad bitovými maskami kandidátů
+ * Před každým větvením doplní vynucené číslice (jediný kandidát v buňce, jediné místo pro číslici
+ * v řádku, sloupci nebo bloku) a pak větví v buňce s nejméně kandidáty. Řešení se najdou ve stejném
+ * pořadí jako bez doplňování, vynucené číslice jen ušetří úrovně rekurze.
+ * Kandidáti v kleci jsou jen číslice z kombinací, které mohou dát zbývající součet;
+ * bez toho by klece bez zadaných číslic řešení neúnosně zpomalily
  * @param {import('../types.js').SudokuGrid} grid
- * @param {number} [maxCount=2]
- * @returns {number}
+ * @param {number} maxCount - Po nalezení tolika řešení hledání skončí
+ * @param {import('./constraints.js').ConstraintSet} constraints
+ * @param {(solution: string) => void} [onSolution] - Dostane řešení jako řetězec znaků číslic po řádcích
+ * @param {import('./random.js').RandomFn} [random] - Náhodné pořadí číslic (pro vyplnění prázdného gridu);
+ *   vynucené číslice se pak nedoplňují, aby seed spotřeboval náhodná čísla stejně jako dřív
+ * @param {number} [maxSteps=Infinity] - Po tolika krocích prohledávání hledání vzdá (počítají se kroky, ne čas,
+ *   aby seedované generování dopadlo všude stejně)
+ * @returns {number} Počet nalezených řešení (0 i pro zadání, které porušuje pravidla)
  */
-export function getSolutionCount(grid, maxCount = 2) {
-    const cloned = copyGrid(grid);
+function searchSolutions(grid, maxCount, constraints, onSolution, random, maxSteps = Infinity) {
+    const cages = constraints.cages ?? [];
+    const { extraPeers, layout, size } = constraints;
+    const { cellCount, symbols } = layout;
+    const allDigits = (1 << size) - 1;
+    const digitOrder = Array.from({ length: size }, (_, i) => i + 1);
+    const boxOf = Int8Array.from({ length: cellCount }, (_, i) => boxIndexOf(layout, Math.floor(i / size), i % size));
+    // Řádky, sloupce a bloky - každá číslice v nich musí být právě jednou
+    const units = Array.from({ length: size * 3 }, () => /** @type {number[]} */ ([]));
+    for (let index = 0; index < cellCount; index++) {
+        units[Math.floor(index / size)].push(index);
+        units[size + (index % size)].push(index);
+        units[2 * size + boxOf[index]].push(index);
+    }
+    const candidateMasks = new Int32Array(cellCount);
+    const values = new Int8Array(cellCount);
+    const rowMask = new Int32Array(size);
+    const colMask = new Int32Array(size);
+    const boxMask = new Int32Array(size);
+    const cageOf = cages.length ? getCageLookup(cages) : new Int16Array(cellCount).fill(-1);
+    const cageRemaining = cages.map(cage => cage.sum);
+    const cageEmpty = cages.map(cage => cage.cells.length);
+    const cageUsed = cages.map(() => 0);
+    // Kandidáti klece do její další změny (-1 = neplatné)
+    const cageMaskCache = new Int32Array(cages.length).fill(-1);
+    // Zapsané buňky v pořadí zápisu, aby šlo vrátit vše od daného bodu
+    const trail = new Int16Array(cellCount);
+    let trailLength = 0;
+
+    /**
+     * @param {number} index
+     * @param {number} digit - 1 až size, záporné odebere
+     */
+    const apply = (index, digit) => {
+        const place = digit > 0;
+        const value = place ? digit : -digit;
+        const bit = 1 << (value - 1);
+        rowMask[Math.floor(index / size)] ^= bit;
+        colMask[index % size] ^= bit;
+        boxMask[boxOf[index]] ^= bit;
+        values[index] = place ? value : 0;
+
+        const cage = cageOf[index];
+        if (cage >= 0) {
+            cageRemaining[cage] += place ? -value : value;
+            cageEmpty[cage] += place ? -1 : 1;
+            cageUsed[cage] ^= bit;
+            cageMaskCache[cage] = -1;
+        }
+    };
+
+    /**
+     * @param {number} index
+     * @param {number} digit
+     */
+    const assign = (index, digit) => {
+        apply(index, digit);
+        trail[trailLength++] = index;
+    };
+
+    /**
+     * Vrátí všechny zápisy od značky
+     * @param {number} mark - Délka stopy, na kterou se vrací
+     */
+    const undo = (mark) => {
+        while (trailLength > mark) {
+            const index = trail[--trailLength];
+            apply(index, -values[index]);
+        }
+    };
+
+    /**
+     * Číslice, které klec ještě připouští
+     * @param {number} cage
+     * @returns {number} Bitová maska
+     */
+    const cageCandidates = (cage) => {
+        if (cageMaskCache[cage] < 0) cageMaskCache[cage] = computeCageCandidates(cage);
+        return cageMaskCache[cage];
+    };
+
+    /**
+     * @param {number} cage
+     * @returns {number} Bitová maska
+     */
+    const computeCageCandidates = (cage) => {
+        const remaining = cageRemaining[cage];
+        const empty = cageEmpty[cage];
+        if (remaining < 0) return 0;
+
+        if (cages[cage].unique === false) {
+            let mask = 0;
+            for (let digit = 1; digit <= 9; digit++) {
+                const rest = remaining - digit;
+                if (rest >= empty - 1 && rest <= (empty - 1) * 9) mask |= 1 << (digit - 1);
+            }
+            return mask;
+        }
+
+        if (remaining > 45) return 0;
+        let mask = 0;
+        for (const combination of COMBINATIONS[empty][remaining]) {
+            if (!(combination & cageUsed[cage])) mask |= combination;
+        }
+        return mask;
+    };
+
+    /**
+     * Kandidáti prázdné buňky podle aktuálního stavu
+     * @param {number} index
+     * @returns {number} Bitová maska
+     */
+    const candidatesOf = (index) => {
+        let used = rowMask[Math.floor(index / size)] | colMask[index % size] | boxMask[boxOf[index]];
+        for (const peer of extraPeers[index]) {
+            if (values[peer]) used |= 1 << (values[peer] - 1);
+        }
+        const mask = ~used & allDigits;
+        return cageOf[index] >= 0 ? mask & cageCandidates(cageOf[index]) : mask;
+    };
+
+    // Zadání porušující pravidla nemá řešení (maskám by zdvojená číslice rozbila XOR)
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            const index = row * size + col;
+            const value = symbols.indexOf(grid[row][col].value) + 1;
+            if (!value) continue;
+            if (!(candidatesOf(index) & (1 << (value - 1)))) return 0;
+            apply(index, value);
+        }
+    }
+
+    /**
+     * Doplňuje vynucené číslice, dokud nějaké přibývají
+     * @returns {boolean} False při sporu (buňka bez kandidátů nebo číslice bez místa)
+     */
+    function propagate() {
+        for (;;) {
+            let placed = false;
+            for (let index = 0; index < cellCount; index++) {
+                if (values[index]) continue;
+                const mask = candidatesOf(index);
+                if (!mask) return false;
+                if (!(mask & (mask - 1))) {
+                    assign(index, 32 - Math.clz32(mask));
+                    placed = true;
+                } else {
+                    candidateMasks[index] = mask;
+                }
+            }
+            if (placed) continue;
+
+            // Masky jsou aktuální - hledáme číslice s jediným místem v jednotce
+            for (const unit of units) {
+                let present = 0;
+                let once = 0;
+                let twice = 0;
+                for (const index of unit) {
+                    if (values[index]) {
+                        present |= 1 << (values[index] - 1);
+                    } else {
+                        twice |= once & candidateMasks[index];
+                        once |= candidateMasks[index];
+                    }
+                }
+                if ((present | once) !== allDigits) return false;
+
+                for (let hidden = once & ~twice & ~present; hidden; hidden &= hidden - 1) {
+                    const bit = hidden & -hidden;
+                    const index = unit.find(cell => !values[cell] && candidateMasks[cell] & bit);
+                    // Jediné místo mohla obsadit jiná číslice z téže jednotky, nebo ho dřívější zápisy vyloučily
+                    if (index === undefined || !(candidatesOf(index) & bit)) return false;
+                    assign(index, 32 - Math.clz32(bit));
+                    placed = true;
+                }
+            }
+            if (!placed) return true;
+        }
+    }
+
     let count = 0;
+    let steps = 0;
+
+    function solve() {
+        if (++steps > maxSteps) return;
+        const mark = trailLength;
+        if (random) {
+            branch(false);
+        } else if (propagate()) {
+            branch(true);
+        }
+        undo(mark);
+    }
 
-    function solve(innerGrid) {
-        if (count >= maxCount) return count;
+    /**
+     * @param {boolean} fresh - Masky kandidátů jsou aktuální (po doplnění vynucených číslic)
+     */
+    function branch(fresh) {
+        let best = -1;
+        let bestMask = 0;
+        let bestCount = size + 1;
+
+        for (let index = 0; index < cellCount && bestCount > 1; index++) {
+            if (values[index]) continue;
+
+            const mask = fresh ? candidateMasks[index] : candidatesOf(index);
+            if (!mask) return;
+            candidateMasks[index] = mask;
+
+            let candidates = 0;
+            for (let m = mask; m; m &= m - 1) candidates++;
+            if (candidates < bestCount) {
+                best = index;
+                bestMask = mask;
+                bestCount = candidates;
+            }
+        }
 
-        const empty = findEmpty(innerGrid);
-        if (!empty) {
-            count += 1;
-            return count;
+        if (best < 0) {
+            count++;
+            onSolution?.(Array.from(values, value => symbols[value - 1]).join(''));
+            return;
         }
 
-        const { row, col } = empty;
-        for (let num = 1; num <= 9; num++) {
-            const value = num.toString();
-            if (isValid(innerGrid, row, col, value)) {
-                innerGrid[row][col].value = value;
-                solve(innerGrid);
-                innerGrid[row][col].value = '';
+        // Bez buňky s jediným kandidátem hledáme číslici, která má v některé jednotce jediné místo
+        // (po doplnění vynucených číslic už žádná není, tohle platí jen pro náhodné vyplňování)
+        if (bestCount > 1) {
+            for (const unit of units) {
+                let present = 0;
+                let once = 0;
+                let twice = 0;
+                for (const index of unit) {
+                    if (values[index]) {
+                        present |= 1 << (values[index] - 1);
+                    } else {
+                        twice |= once & candidateMasks[index];
+                        once |= candidateMasks[index];
+                    }
+                }
+                if ((present | once) !== allDigits) return;
+
+                const hidden = once & ~twice;
+                if (hidden) {
+                    const bit = hidden & -hidden;
+                    best = unit.find(index => !values[index] && candidateMasks[index] & bit) ?? best;
+                    bestMask = bit;
+                    break;
+                }
             }
         }
-        return count;
+
+        const digits = random ? shuffle([...digitOrder], random) : digitOrder;
+        for (const digit of digits) {
+            if (!(bestMask & (1 << (digit - 1)))) continue;
+            assign(best, digit);
+            solve();
+            undo(trailLength - 1);
+            if (count >= maxCount || steps > maxSteps) return;
+        }
     }
 
-    return solve(cloned);
+    solve();
+    return count;
 }
 
 /**
- * Vyřeší sudoku pomocí backtracking algoritmu
+ * Spočítá počet řešení sudoku (do maxCount)
  * @param {import('../types.js').SudokuGrid} grid
+ * @param {number} [maxCount=2]
+ * @param {import('./constraints.js').ConstraintSet | null} [constraints] - Pravidla sudoku (výchozí klasická)
+ * @returns {number}
+ */
+export function getSolutionCount(grid, maxCount = 2, constraints) {
+    return searchSolutions(grid, maxCount, resolveConstraints(grid, constraints));
+}
+
+/**
+ * Vyřeší sudoku
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {import('./constraints.js').ConstraintSet | null} [constraints] - Pravidla sudoku (výchozí klasická)
  * @returns {import('../types.js').SudokuGrid | null} Vyřešený grid nebo null pokud není řešitelné
  */
-export function solveSudoku(grid) {
-    const cloned = copyGrid(grid);
-
-    function solve(innerGrid) {
-        const empty = findEmpty(innerGrid);
-        if (!empty) return true;
-
-        const { row, col } = empty;
-        for (let num = 1; num <= 9; num++) {
-            const value = num.toString();
-            if (isValid(innerGrid, row, col, value)) {
-                innerGrid[row][col].value = value;
-                if (solve(innerGrid)) return true;
-                innerGrid[row][col].value = '';
-            }
-        }
-        return false;
-    }
+export function solveSudoku(grid, constraints) {
+    /** @type {import('../types.js').SudokuGrid | null} */
+    let solved = null;
+    searchSolutions(grid, 1, resolveConstraints(grid, constraints), solution => {
+        solved = solutionToGrid(copyGrid(grid), solution);
+    });
+    return solved;
+}
 
-    if (solve(cloned)) {
-        return cloned;
+/**
+ * Vyplní prázdný grid náhodným platným sudoku
+ * S pravidly navíc hledání po FILL_STEP_LIMIT krocích vzdá.
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {import('./random.js').RandomFn} [random=Math.random]
+ * @param {import('./constraints.js').ConstraintSet} [constraints] - Pravidla sudoku (výchozí klasická)
+ * @returns {boolean} False, pokud se grid vyplnit nepodařilo
+ */
+function fillSudoku(grid, random = Math.random, constraints) {
+    if (hasExtraConstraints(constraints)) {
+        /** @type {string | null} */
+        let filled = null;
+        searchSolutions(grid, 1, constraints, solution => { filled = solution; }, random, FILL_STEP_LIMIT);
+        if (!filled) return false;
+        grid.forEach((row, r) => row.forEach((cell, c) => { cell.value = filled[r * grid.length + c]; }));
+        return true;
     }
-    return null;
+
+    return fillInOrder(grid, random);
 }
 
 /**
- * Vyplní prázdný grid náhodným platným sudoku
+ * Vyplní klasické sudoku 9x9 backtrackingem po řádcích s náhodným pořadím číslic v každé buňce
+ * Pořadí buněk i volání shuffle musí zůstat, jinak by stejný seed dal jiné sudoku
  * @param {import('../types.js').SudokuGrid} grid
+ * @param {import('./random.js').RandomFn} random
  * @returns {boolean}
  */
-function fillSudoku(grid) {
-    const empty = findEmpty(grid);
-    if (!empty) return true;
-
-    const { row, col } = empty;
-    const nums = shuffle([1, 2, 3, 4, 5, 6, 7, 8, 9]).map(String);
-
-    for (const value of nums) {
-        if (isValid(grid, row, col, value)) {
-            grid[row][col].value = value;
-            if (fillSudoku(grid)) return true;
-            grid[row][col].value = '';
+function fillInOrder(grid, random) {
+    const values = new Int8Array(81);
+    const rowMask = new Int32Array(9);
+    const colMask = new Int32Array(9);
+    const boxMask = new Int32Array(9);
+    const boxOf = (/** @type {number} */ index) => 3 * Math.floor(index / 27) + Math.floor((index % 9) / 3);
+
+    /**
+     * @param {number} index
+     * @param {number} digit - 1-9, záporné odebere
+     */
+    const apply = (index, digit) => {
+        const value = Math.abs(digit);
+        const bit = 1 << (value - 1);
+        rowMask[Math.floor(index / 9)] ^= bit;
+        colMask[index % 9] ^= bit;
+        boxMask[boxOf(index)] ^= bit;
+        values[index] = digit > 0 ? value : 0;
+    };
+
+    for (let index = 0; index < 81; index++) {
+        const value = Number(grid[Math.floor(index / 9)][index % 9].value);
+        if (value) apply(index, value);
+    }
+
+    /**
+     * @param {number} start - Od této buňky hledáme první prázdnou
+     * @returns {boolean}
+     */
+    function fill(start) {
+        let index = start;
+        while (index < 81 && values[index]) index++;
+        if (index === 81) return true;
+
+        const used = rowMask[Math.floor(index / 9)] | colMask[index % 9] | boxMask[boxOf(index)];
+        for (const digit of shuffle([1, 2, 3, 4, 5, 6, 7, 8, 9], random)) {
+            if (used & (1 << (digit - 1))) continue;
+            apply(index, digit);
+            if (fill(index + 1)) return true;
+            apply(index, -digit);
         }
+        return false;
     }
-    return false;
+
+    if (!fill(0)) return false;
+    values.forEach((value, index) => { grid[Math.floor(index / 9)][index % 9].value = String(value); });
+    return true;
 }
 
 /**
- * Vytvoří prázdný grid 9x9
+ * Vytvoří prázdný grid
+ * @param {number} [size=9] - Velikost mřížky (4, 6, 9 nebo 16)
  * @returns {import('../types.js').SudokuGrid}
  */
-export function createEmptyGrid() {
-    return Array(9)
+export function createEmptyGrid(size = DEFAULT_GRID_SIZE) {
+    return Array(size)
         .fill(0)
         .map(() =>
-            Array(9)
+            Array(size)
                 .fill(null)
                 .map(() => ({ value: '', isStatic: false }))
         );
 }
 
 /**
- * Generuje nové sudoku s unikátním řešením
- * @param {number} [minFilled=20] - Minimální počet předvyplněných políček
- * @param {number} [maxTries=50] - Maximální počet pokusů
+ * Z vyplněných číslic udělá zadání (vlastní sudoku zadané hráčem), poznámky zahodí
+ * @param {import('../types.js').SudokuGrid} grid
  * @returns {import('../types.js').SudokuGrid}
- * @throws {Error} Pokud se nepodaří vygenerovat sudoku
  */
-export function generateSudoku(minFilled = 20, maxTries = 50) {
-    let attempt = 0;
+export function lockGivens(grid) {
+    return grid.map(row => row.map(cell => ({ value: cell.value, isStatic: cell.value !== '' })));
+}
 
-    while (attempt++ < maxTries) {
-        // Vytvoříme prázdný grid a vyplníme ho
-        const full = createEmptyGrid();
-        fillSudoku(full);
-
-        // Vytvoříme náhodně zamíchaný seznam pozic
-        /** @type {[number, number][]} */
-        const positions = [];
-        for (let row = 0; row < 9; row++) {
-            for (let col = 0; col < 9; col++) {
-                positions.push([row, col]);
-            }
+/**
+ * Vygeneruje jedno sudoku s unikátním řešením
+ * Stejný seed a minFilled dávají vždy stejné sudoku
+ * @param {number} minFilled - Minimální počet předvyplněných políček
+ * @param {string} seed
+ * @param {import('./constraints.js').ConstraintSet} [constraints] - Pravidla sudoku (výchozí klasická)
+ * @returns {{ grid: import('../types.js').SudokuGrid, solution: string }}
+ */
+function createPuzzle(minFilled, seed, constraints) {
+    const random = createRandom(seed);
+    const size = constraints?.size ?? DEFAULT_GRID_SIZE;
+
+    // Vytvoříme prázdný grid a vyplníme ho
+    const full = createEmptyGrid(size);
+    if (!fillSudoku(full, random, constraints)) throw new Error(UNFILLABLE_RULES_MESSAGE);
+    const solution = gridToSolution(full);
+
+    // Vytvoříme náhodně zamíchaný seznam pozic
+    /** @type {[number, number][]} */
+    const positions = [];
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            positions.push([row, col]);
         }
-        shuffle(positions);
+    }
+    shuffle(positions, random);
 
-        // Odebíráme čísla, dokud to má unikátní řešení
-        let removed = 0;
-        const maxToRemove = 81 - minFilled;
+    // Odebíráme čísla, dokud to má unikátní řešení
+    let removed = 0;
+    const maxToRemove = size * size - minFilled;
 
-        for (const [row, col] of positions) {
-            if (removed >= maxToRemove) break;
+    for (const [row, col] of positions) {
+        if (removed >= maxToRemove) break;
 
-            const backup = full[row][col].value;
-            full[row][col].value = '';
+        const backup = full[row][col].value;
+        full[row][col].value = '';
 
-            // Ověříme, že má stále unikátní řešení
-            if (getSolutionCount(full, 2) !== 1) {
-                // Vrátíme hodnotu zpět
-                full[row][col].value = backup;
-            } else {
-                removed++;
-            }
+        // Ověříme, že má stále unikátní řešení
+        if (getSolutionCount(full, 2, constraints) !== 1) {
+            // Vrátíme hodnotu zpět
+            full[row][col].value = backup;
+        } else {
+            removed++;
         }
+    }
 
-        // Označíme vyplněné buňky jako statické
-        for (let row = 0; row < 9; row++) {
-            for (let col = 0; col < 9; col++) {
-                full[row][col].isStatic = !!full[row][col].value;
-            }
+    // Označíme vyplněné buňky jako statické
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            full[row][col].isStatic = !!full[row][col].value;
+        }
+    }
+
+    return { grid: full, solution };
+}
+
+/**
+ * Generuje nové sudoku s unikátním řešením a vrací i seed, ze kterého vzniklo
+ * S cílovou obtížností generuje opakovaně, dokud hodnocení podle technik neodpovídá.
+ * Vrácený seed vždy reprodukuje přesně vrácené sudoku (bez cílové obtížnosti).
+ * S pravidly navíc a u jiné velikosti než 9x9 se obtížnost nehodnotí (techniky znají jen klasické 9x9),
+ * řídí ji jen minFilled.
+ * @param {Object} [options]
+ * @param {number} [options.minFilled=20] - Minimální počet předvyplněných políček
+ * @param {number} [options.maxTries=50] - Maximální počet pokusů
+ * @param {import('../types.js').Difficulty} [options.difficulty] - Požadovaná obtížnost podle hodnocení
+ * @param {string} [options.seed] - Seed; s cílovou obtížností se zkouší odvozené seedy "seed#1", "seed#2"...
+ * @param {import('../types.js').RuleId[]} [options.rules] - Pravidla navíc (X-Sudoku, Hyper, anti-jezdec, anti-král)
+ * @param {import('../types.js').GridSize} [options.size=9] - Velikost mřížky
+ * @param {(progress: { done: number, total: number }) => void} [options.onProgress] - Průběh pokusů o cílovou obtížnost
+ * @returns {{ grid: import('../types.js').SudokuGrid, seed: string, solution: string }}
+ */
+export function generatePuzzle({ minFilled = 20, maxTries = 50, difficulty, seed, rules, size = DEFAULT_GRID_SIZE, onProgress } = {}) {
+    const constraints = getConstraintSet(rules, null, size);
+    if (!difficulty || hasExtraConstraints(constraints)) {
+        const puzzleSeed = seed || createSeed();
+        return { ...createPuzzle(minFilled, puzzleSeed, constraints), seed: puzzleSeed };
+    }
+
+    const startedAt = Date.now();
+    let attempt = 0;
+
+    /** @type {{ grid: import('../types.js').SudokuGrid, seed: string, solution: string } | null} */
+    let closest = null;
+    let closestDistance = Infinity;
+
+    while (attempt++ < maxTries) {
+        const attemptSeed = seed ? `${seed}#${attempt}` : createSeed();
+        const { grid, solution } = createPuzzle(minFilled, attemptSeed);
+
+        const rating = ratePuzzle(grid);
+        const distance = rating ? difficultyDistance(rating.difficulty, difficulty) : Infinity;
+        if (distance === 0) return { grid, seed: attemptSeed, solution };
+
+        if (distance < closestDistance) {
+            closest = { grid, seed: attemptSeed, solution };
+            closestDistance = distance;
         }
+        onProgress?.({ done: attempt, total: maxTries });
+
+        // Seedované generování musí dopadnout všude stejně, časový limit proto neplatí
+        if (!seed && Date.now() - startedAt > GRADED_GENERATION_TIME_LIMIT_MS) break;
+    }
 
-        return full;
+    if (closest) {
+        console.warn(`Nepodařilo se vygenerovat sudoku s obtížností ${difficulty}, vracím nejbližší`);
+        return closest;
     }
 
     // Fallback - vrátíme jednodušší sudoku místo vyhození chyby
     console.warn('Nepodařilo se vygenerovat optimální sudoku, zkouším jednodušší variantu');
-    return generateSudoku(Math.min(minFilled + 10, 45), maxTries);
+    return generatePuzzle({ minFilled: Math.min(minFilled + 10, 45), seed });
+}
+
+/**
+ * Generuje nové sudoku s unikátním řešením
+ * @param {number} [minFilled=20] - Minimální počet předvyplněných políček
+ * @param {number} [maxTries=50] - Maximální počet pokusů
+ * @param {import('../types.js').Difficulty} [targetDifficulty] - Požadovaná obtížnost podle hodnocení
+ * @param {string} [seed] - Seed pro reprodukovatelné generování
+ * @returns {import('../types.js').SudokuGrid}
+ */
+export function generateSudoku(minFilled = 20, maxTries = 50, targetDifficulty, seed) {
+    return generatePuzzle({ minFilled, maxTries, difficulty: targetDifficulty, seed }).grid;
+}
+
+/**
+ * Vygeneruje killer sudoku s unikátním řešením a vrací i seed, ze kterého vzniklo
+ * Těžké nemá žádné zadané číslice (pokud to některé rozdělení na klece dovolí),
+ * střední má jen nezbytné minimum a lehké k tomu několik číslic navíc.
+ * @param {Object} [options]
+ * @param {import('../types.js').Difficulty} [options.difficulty='medium']
+ * @param {string} [options.seed]
+ * @param {import('../types.js').RuleId[]} [options.rules] - Pravidla navíc ke klecím
+ * @returns {{ grid: import('../types.js').SudokuGrid, seed: string, solution: string, cages: import('../types.js').Cage[] }}
+ */
+export function generateKillerPuzzle({ difficulty = 'medium', seed, rules } = {}) {
+    const puzzleSeed = seed || createSeed();
+    const random = createRandom(puzzleSeed);
+
+    const full = createEmptyGrid();
+    if (!fillSudoku(full, random, getConstraintSet(rules))) throw new Error(UNFILLABLE_RULES_MESSAGE);
+    const solution = gridToSolution(full);
+
+    let cages = createCages(full, random);
+    if (difficulty === 'hard') {
+        for (let attempt = 1; attempt < KILLER_PARTITION_TRIES; attempt++) {
+            if (getSolutionCount(createEmptyGrid(), 2, getConstraintSet(rules, cages)) === 1) break;
+            cages = createCages(full, random);
+        }
+    }
+    const constraints = getConstraintSet(rules, cages);
+
+    // Odhalujeme číslice řešení tam, kde se od něj liší jiné nalezené řešení
+    const grid = createEmptyGrid();
+    for (;;) {
+        /** @type {number[]} */
+        let differing = [];
+        searchSolutions(grid, 2, constraints, found => {
+            const diff = [...found].flatMap((value, i) => (value !== solution[i] ? [i] : []));
+            if (diff.length) differing = diff;
+        });
+        if (differing.length === 0) break;
+
+        const index = differing[Math.floor(random() * differing.length)];
+        grid[Math.floor(index / 9)][index % 9] = { value: solution[index], isStatic: true };
+    }
+
+    if (difficulty === 'easy') {
+        const hidden = shuffle(
+            Array.from({ length: 81 }, (_, i) => i).filter(i => !grid[Math.floor(i / 9)][i % 9].value),
+            random
+        );
+        for (const index of hidden.slice(0, KILLER_EASY_EXTRA_GIVENS)) {
+            grid[Math.floor(index / 9)][index % 9] = { value: solution[index], isStatic: true };
+        }
+    }
+
+    return { grid, seed: puzzleSeed, solution, cages };
+}
+
+/**
+ * Převede vyplněný grid na řešení (znaky číslic po řádcích)
+ * @param {import('../types.js').SudokuGrid} grid
+ * @returns {string}
+ */
+function gridToSolution(grid) {
+    return grid.flat().map(cell => cell.value).join('');
+}
+
+/**
+ * Doplní do gridu hodnoty z řešení (znaky číslic po řádcích)
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {string} solution
+ * @returns {import('../types.js').SudokuGrid} Nový grid
+ */
+function solutionToGrid(grid, solution) {
+    return grid.map((row, r) => row.map((cell, c) => ({ ...cell, value: solution[r * grid.length + c] })));
+}
+
+/**
+ * Najde jednoznačné řešení zadání (bere v úvahu jen předvyplněná políčka)
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {import('./constraints.js').ConstraintSet | null} [constraints] - Pravidla sudoku (výchozí klasická)
+ * @returns {string | null} Řešení po řádcích (u 9x9 81 číslic), nebo null pokud zadání nemá právě jedno řešení
+ */
+export function findSolution(grid, constraints) {
+    const givens = grid.map(row =>
+        row.map(cell => ({ value: cell.isStatic ? cell.value : '', isStatic: cell.isStatic }))
+    );
+    // Killer sudoku může být jednoznačné i bez zadaných číslic
+    if (!constraints?.cages && !givens.some(row => row.some(cell => cell.value))) return null;
+    if (getSolutionCount(givens, 2, constraints) !== 1) return null;
+
+    const solved = solveSudoku(givens, constraints);
+    return solved ? gridToSolution(solved) : null;
 }
 
 /**
@@ -225,47 +754,14 @@ export function isGridComplete(grid) {
 
 /**
  * Ověří, zda je grid správně vyřešený
- * Optimalizovaná verze - nejdříve kontroluje kompletnost
+ * Optimalizovaná verze - nejdříve kontroluje kompletnost, pak jen sousedy každé buňky
  * @param {import('../types.js').SudokuGrid} grid
+ * @param {import('./constraints.js').ConstraintSet | null} [constraints] - Pravidla sudoku (výchozí klasická)
  * @returns {boolean}
  */
-export function isGridSolved(grid) {
+export function isGridSolved(grid, constraints) {
     // Rychlá kontrola - je vůbec vyplněný?
     if (!isGridComplete(grid)) return false;
 
-    // Kontrola řádků
-    for (let row = 0; row < 9; row++) {
-        const seen = new Set();
-        for (let col = 0; col < 9; col++) {
-            const value = grid[row][col].value;
-            if (seen.has(value)) return false;
-            seen.add(value);
-        }
-    }
-
-    // Kontrola sloupců
-    for (let col = 0; col < 9; col++) {
-        const seen = new Set();
-        for (let row = 0; row < 9; row++) {
-            const value = grid[row][col].value;
-            if (seen.has(value)) return false;
-            seen.add(value);
-        }
-    }
-
-    // Kontrola 3x3 bloků
-    for (let blockRow = 0; blockRow < 3; blockRow++) {
-        for (let blockCol = 0; blockCol < 3; blockCol++) {
-            const seen = new Set();
-            for (let i = 0; i < 3; i++) {
-                for (let j = 0; j < 3; j++) {
-                    const value = grid[blockRow * 3 + i][blockCol * 3 + j].value;
-                    if (seen.has(value)) return false;
-                    seen.add(value);
-                }
-            }
-        }
-    }
-
-    return true;
-}
\ No newline at end of file
+    return satisfiesConstraints(grid, resolveConstraints(grid, constraints));
+}
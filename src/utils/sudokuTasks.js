@@ -0,0 +1,152 @@
+/**
+ * Výpočetně náročné operace se sudoku, které běží ve workeru
+ * Bez podpory Web Workeru je composable spouští přímo v hlavním vlákně
+ */
+
+import {
+    generatePuzzle,
+    generateKillerPuzzle,
+    solveSudoku,
+    getSolutionCount
+} from './sudokuGenerator.js';
+import { findNextStep } from './logicalSolver.js';
+import { ratePuzzle } from './difficultyGrader.js';
+import { getConstraintSet, findConstraintConflictCells } from './constraints.js';
+
+/**
+ * @typedef {'generate' | 'solve' | 'count-solutions' | 'validate' | 'hint' | 'grade'} TaskType
+ */
+
+/**
+ * @typedef {Object} TaskProgress
+ * @property {number} done - Hotové kroky (u generování pokusy o cílovou obtížnost)
+ * @property {number} total - Nejvyšší počet kroků
+ */
+
+/**
+ * Pravidla sudoku předávaná do workeru (sadu pravidel si worker sestaví sám)
+ * @typedef {Object} TaskRules
+ * @property {import('../types.js').RuleId[] | null} [rules] - Pravidla navíc
+ * @property {import('../types.js').Cage[] | null} [cages] - Klece killer sudoku
+ */
+
+/**
+ * @typedef {Object} GenerateTaskPayload
+ * @property {number} [minFilled]
+ * @property {import('../types.js').Difficulty} [difficulty] - Cílová obtížnost podle hodnocení
+ * @property {string} [seed] - Seed pro reprodukovatelné generování
+ * @property {import('../types.js').SudokuVariant} [variant] - Varianta sudoku (výchozí klasické)
+ * @property {import('../types.js').RuleId[]} [rules] - Pravidla navíc
+ * @property {import('../types.js').GridSize} [size] - Velikost mřížky (výchozí 9x9)
+ */
+
+/**
+ * @typedef {Object} GenerateTaskResult
+ * @property {import('../types.js').SudokuGrid} grid
+ * @property {string} seed - Seed, ze kterého sudoku vzniklo
+ * @property {string} solution - Řešení (znaky číslic po řádcích)
+ * @property {import('../types.js').Cage[] | null} cages - Klece killer sudoku
+ */
+
+/**
+ * @typedef {Object} ValidateTaskResult
+ * @property {string[]} conflictCells - Buňky zadání porušující pravidla ("řádek-sloupec")
+ * @property {number} solutionCount - Počet řešení zadání (nejvýš 2)
+ * @property {string | null} solution - Řešení, pokud je právě jedno
+ */
+
+/**
+ * Sada pravidel pro grid z pravidel předaných do workeru
+ * @param {import('../types.js').SudokuGrid} grid
+ * @param {TaskRules} payload
+ * @returns {import('./constraints.js').ConstraintSet}
+ */
+function constraintsFor(grid, { rules, cages }) {
+    return getConstraintSet(rules ?? [], cages ?? null, grid.length);
+}
+
+/**
+ * Ponechá v gridu jen zadání (předvyplněná políčka)
+ * @param {import('../types.js').SudokuGrid} grid
+ * @returns {import('../types.js').SudokuGrid}
+ */
+function givensOf(grid) {
+    return grid.map(row => row.map(cell => ({ value: cell.isStatic ? cell.value : '', isStatic: cell.isStatic })));
+}
+
+/**
+ * Vygeneruje sudoku
+ * @param {GenerateTaskPayload} payload
+ * @param {(progress: TaskProgress) => void} onProgress
+ * @returns {GenerateTaskResult}
+ */
+function generate(payload, onProgress) {
+    if (payload.variant === 'killer') {
+        return generateKillerPuzzle({ difficulty: payload.difficulty, seed: payload.seed, rules: payload.rules });
+    }
+    const result = generatePuzzle({
+        minFilled: payload.minFilled || 30,
+        difficulty: payload.difficulty,
+        seed: payload.seed,
+        rules: payload.rules,
+        size: payload.size,
+        onProgress
+    });
+    return { ...result, cages: null };
+}
+
+/**
+ * Ověří zadání: rozpory mezi předvyplněnými políčky, počet řešení a případně jediné řešení
+ * @param {{ grid: import('../types.js').SudokuGrid } & TaskRules} payload
+ * @returns {ValidateTaskResult}
+ */
+function validate(payload) {
+    const givens = givensOf(payload.grid);
+    const constraints = constraintsFor(givens, payload);
+
+    const conflictCells = [...findConstraintConflictCells(givens, constraints)];
+    if (conflictCells.length) return { conflictCells, solutionCount: 0, solution: null };
+
+    const solutionCount = getSolutionCount(givens, 2, constraints);
+    const solved = solutionCount === 1 ? solveSudoku(givens, constraints) : null;
+    return {
+        conflictCells,
+        solutionCount,
+        solution: solved ? solved.flat().map(cell => cell.value).join('') : null
+    };
+}
+
+/**
+ * Operace podle typu požadavku
+ * @type {Record<TaskType, (payload: any, onProgress: (progress: TaskProgress) => void) => unknown>}
+ */
+const TASKS = {
+    generate,
+    solve: (payload) => solveSudoku(payload.grid, constraintsFor(payload.grid, payload)),
+    'count-solutions': (payload) => getSolutionCount(payload.grid, payload.maxCount ?? 2, constraintsFor(payload.grid, payload)),
+    validate,
+    // Logická nápověda i hodnocení znají jen klasické sudoku 9x9
+    hint: (payload) => findNextStep(payload.grid),
+    grade: (payload) => ratePuzzle(payload.grid)
+};
+
+/**
+ * Ověří, zda worker operaci zná
+ * @param {unknown} type
+ * @returns {type is TaskType}
+ */
+export function isTaskType(type) {
+    return typeof type === 'string' && Object.hasOwn(TASKS, type);
+}
+
+/**
+ * Provede operaci
+ * @param {TaskType} type
+ * @param {any} payload
+ * @param {(progress: TaskProgress) => void} [onProgress]
+ * @returns {unknown} Výsledek operace (musí jít předat přes postMessage)
+ * @throws {Error} Pokud operace selže
+ */
+export function runTask(type, payload, onProgress = () => {}) {
+    return TASKS[type](payload, onProgress);
+}
@@ -0,0 +1,83 @@
+/**
+ * Zprávy mezi panely prohlížeče se stejnou aplikací
+ * Používá BroadcastChannel, ve starších prohlížečích události storage nad vlastním klíčem v localStorage.
+ * Zprávy jsou prostá JSON data, reaktivní objekty z Vue se před odesláním zkopírují.
+ */
+
+import { STORAGE_KEYS } from '../types.js';
+
+const CHANNEL_NAME = 'sudoku_sync';
+
+/**
+ * Id tohoto panelu (pro rozlišení, kdo zprávu poslal)
+ */
+export const TAB_ID = typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+/**
+ * @typedef {{ type: 'game-saved', game: import('../types.js').SavedGame }
+ *   | { type: 'game-trashed', game: import('../types.js').SavedGame }
+ *   | { type: 'game-restored', game: import('../types.js').SavedGame }
+ *   | { type: 'trash-deleted', ids: number[] }
+ *   | { type: 'games-replaced' }
+ *   | { type: 'hello' }
+ *   | { type: 'playing', gameId: number | null }
+ *   | { type: 'bye' }} SyncMessage
+ */
+
+/**
+ * @typedef {SyncMessage & { from: string }} ReceivedSyncMessage
+ */
+
+/**
+ * @typedef {Object} SyncChannel
+ * @property {(message: SyncMessage) => void} post - Pošle zprávu ostatním panelům (sobě ne)
+ * @property {() => void} close
+ */
+
+/**
+ * Otevře kanál pro zprávy mezi panely
+ * @param {(message: ReceivedSyncMessage) => void} onMessage
+ * @returns {SyncChannel}
+ */
+export function openSyncChannel(onMessage) {
+    /**
+     * @param {string | null} data
+     */
+    const receive = (data) => {
+        if (!data) return;
+        try {
+            const message = JSON.parse(data);
+            if (message?.from !== TAB_ID && typeof message?.type === 'string') onMessage(message);
+        } catch (error) {
+            console.warn('[tabSync] Neplatná zpráva z jiného panelu:', error);
+        }
+    };
+
+    if (typeof BroadcastChannel === 'function') {
+        const channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.onmessage = (event) => receive(event.data);
+        return {
+            post: (message) => channel.postMessage(JSON.stringify({ ...message, from: TAB_ID })),
+            close: () => channel.close()
+        };
+    }
+
+    // Událost storage přijde jen ostatním panelům; náhodný nonce zajistí změnu hodnoty i u stejné zprávy
+    /** @param {StorageEvent} event */
+    const handleStorage = (event) => {
+        if (event.key === STORAGE_KEYS.SYNC) receive(event.newValue);
+    };
+    window.addEventListener('storage', handleStorage);
+    return {
+        post: (message) => {
+            try {
+                localStorage.setItem(STORAGE_KEYS.SYNC, JSON.stringify({ ...message, from: TAB_ID, nonce: Math.random() }));
+            } catch (error) {
+                console.warn('[tabSync] Zprávu nelze poslat:', error);
+            }
+        },
+        close: () => window.removeEventListener('storage', handleStorage)
+    };
+}
@@ -1,40 +1,136 @@
 /**
- * Web Worker pro generování sudoku
- * Běží na pozadí, aby neblokoval UI
+ * Web Worker pro generování, řešení a hodnocení sudoku
+ * Běží na pozadí, aby neblokoval UI. Každý požadavek nese id, odpovědi a průběh se k němu vracejí se stejným id.
+ * Zrušení požadavku řeší hlavní vlákno ukončením workeru a spuštěním nového.
  */
 
-import { generateSudoku } from '../utils/sudokuGenerator.js';
+import { generatePuzzle } from '../utils/sudokuGenerator.js';
+import { addPoolPuzzle, getPoolCounts, isPoolAvailable } from '../utils/puzzlePool.js';
+import { DIFFICULTY_ORDER, ratePuzzle } from '../utils/difficultyGrader.js';
+import { runTask, isTaskType } from '../utils/sudokuTasks.js';
+import { DIFFICULTY_MAP } from '../types.js';
 
 /**
- * @typedef {Object} WorkerMessage
- * @property {'generate'} type
- * @property {number} [minFilled]
+ * @typedef {Object} WorkerRequest
+ * @property {number} id - Id požadavku, odpovědi ho opakují
+ * @property {import('../utils/sudokuTasks.js').TaskType} type
+ * @property {unknown} payload - Vstup operace (viz sudokuTasks.js)
  */
 
 /**
- * @typedef {Object} WorkerResponse
- * @property {'success' | 'error'} type
- * @property {import('../types.js').SudokuGrid} [grid]
- * @property {string} [error]
+ * Požadavek na doplnění zásobníku předgenerovaných sudoku (bez id, průběh hlásí zprávy "pool")
+ * @typedef {Object} PoolFillMessage
+ * @property {'fill-pool'} type
+ * @property {Record<import('../types.js').Difficulty, number>} poolSizes - Cílové velikosti zásobníku
  */
 
+/**
+ * @typedef {{ id: number, type: 'result', result: unknown }
+ *   | { id: number, type: 'error', error: string }
+ *   | { id: number, type: 'progress', progress: import('../utils/sudokuTasks.js').TaskProgress }
+ *   | { type: 'pool', poolCounts: Record<import('../types.js').Difficulty, number>, done: boolean }} WorkerResponse
+ */
+
+/**
+ * Počet nepoužitelných sudoku za sebou (duplicita nebo obtížnost, pro kterou už v zásobníku není místo),
+ * po kterém doplňování přejde na další obtížnost
+ */
+const MAX_POOL_FILL_MISSES = 10;
+
+/**
+ * Pořadí posledního požadavku na doplnění zásobníku - starší doplňování skončí
+ */
+let poolFillId = 0;
+
+/**
+ * Nechá zpracovat čekající zprávy (generování má přednost před doplňováním zásobníku)
+ * @returns {Promise<void>}
+ */
+function yieldToMessages() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Doplní zásobník na cílové velikosti, po jednom sudoku
+ * Mezi sudoku pustí ke slovu čekající zprávy, nový požadavek na doplnění tento ukončí.
+ * Generátor může vrátit nejbližší obtížnost - sudoku se proto zařadí podle svého hodnocení
+ * a pamatuje si obtížnost, se kterou vzniklo (seed ho zopakuje jen s ní).
+ * @param {Record<import('../types.js').Difficulty, number>} poolSizes
+ */
+async function fillPool(poolSizes) {
+    const fillId = ++poolFillId;
+    let counts = await getPoolCounts();
+
+    try {
+        if (!(await isPoolAvailable())) return;
+
+        for (const difficulty of DIFFICULTY_ORDER) {
+            let misses = 0;
+            while (counts[difficulty] < poolSizes[difficulty] && misses < MAX_POOL_FILL_MISSES) {
+                await yieldToMessages();
+                if (fillId !== poolFillId) return;
+
+                const { grid, seed, solution } = generatePuzzle({ minFilled: DIFFICULTY_MAP[difficulty], difficulty });
+                const rated = ratePuzzle(grid)?.difficulty;
+                if (!rated || counts[rated] >= poolSizes[rated]) {
+                    misses++;
+                    continue;
+                }
+
+                const result = await addPoolPuzzle({
+                    givens: grid.flat().map(cell => cell.value || '.').join(''),
+                    difficulty: rated,
+                    seed,
+                    seedDifficulty: difficulty,
+                    solution,
+                    createdAt: Date.now()
+                });
+                // Zápis selhal (plné úložiště) - zkusíme to při dalším doplňování
+                if (result === 'failed') return;
+                if (result === 'duplicate') {
+                    misses++;
+                    continue;
+                }
+                misses = 0;
+
+                counts = await getPoolCounts();
+                postResponse({ type: 'pool', poolCounts: counts, done: false });
+            }
+        }
+    } finally {
+        // Přerušené doplňování nehlásí konec, hlásí ho to novější
+        if (fillId === poolFillId) postResponse({ type: 'pool', poolCounts: counts, done: true });
+    }
+}
+
+/**
+ * @param {WorkerResponse} response
+ */
+function postResponse(response) {
+    self.postMessage(response);
+}
+
 self.onmessage = function(event) {
-    /** @type {WorkerMessage} */
+    /** @type {WorkerRequest | PoolFillMessage} */
     const message = event.data;
 
-    if (message.type === 'generate') {
-        try {
-            const grid = generateSudoku(message.minFilled || 30);
-            /** @type {WorkerResponse} */
-            const response = { type: 'success', grid };
-            self.postMessage(response);
-        } catch (error) {
-            /** @type {WorkerResponse} */
-            const response = {
-                type: 'error',
-                error: error instanceof Error ? error.message : 'Neznámá chyba'
-            };
-            self.postMessage(response);
-        }
+    if (message.type === 'fill-pool') {
+        fillPool(message.poolSizes).catch(error => {
+            console.warn('Chyba při doplňování zásobníku sudoku:', error);
+        });
+        return;
+    }
+
+    const { id, type, payload } = message;
+    if (!isTaskType(type)) {
+        postResponse({ id, type: 'error', error: `Neznámý požadavek: ${type}` });
+        return;
+    }
+
+    try {
+        const result = runTask(type, payload, progress => postResponse({ id, type: 'progress', progress }));
+        postResponse({ id, type: 'result', result });
+    } catch (error) {
+        postResponse({ id, type: 'error', error: error instanceof Error ? error.message : 'Neznámá chyba' });
     }
-};
\ No newline at end of file
+};